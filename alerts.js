@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const JsonStore = require('./store');
+const templates = require('./templates');
+const marketData = require('./market-data');
+
+const RULE_TYPES = ['change', 'cross'];
+const DIRECTIONS = ['up', 'down', 'any'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_MESSAGES = {
+    change: '🚨 *{{asset}} Price Alert*\n\n{{asset}} moved {{change}} in the last {{window}} and is now trading at {{price}}.',
+    cross: '🚨 *{{asset}} Price Alert*\n\n{{asset}} crossed {{level}} and is now trading at {{price}}.'
+};
+
+/**
+ * Price movement alerts.
+ * Rules are polled every ALERT_POLL_INTERVAL seconds against the market data layer:
+ * - change: { threshold: 5, windowMinutes: 60, direction: 'any' } - moves of 5% or more within an hour
+ * - cross: { level: 100000, direction: 'up' } - the price crosses a level
+ * Matching rules post their message via broadcastUpdate unless they are cooling down or in quiet hours;
+ * a match during quiet hours is kept and posted once they end.
+ */
+class AlertMonitor {
+    constructor() {
+        this.store = new JsonStore('alerts.json', { rules: [] });
+        this.timer = null;
+        this.isEvaluating = false;
+        this.lastRunAt = null;
+    }
+
+    /**
+     * Start polling
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.evaluate(), config.alertPollInterval * 1000);
+        logger.info(`Price alerts polling every ${config.alertPollInterval}s (${this.listRules().length} rule(s))`);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * List alert rules
+     */
+    listRules() {
+        return this.store.read().rules;
+    }
+
+    /**
+     * Get a single rule
+     */
+    getRule(id) {
+        return this.listRules().find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Create an alert rule
+     */
+    createRule(definition, createdBy) {
+        const rule = {
+            id: crypto.randomBytes(4).toString('hex'),
+            ...this.normalizeRule(definition),
+            createdBy,
+            createdAt: new Date().toISOString(),
+            state: this.initialState()
+        };
+
+        this.store.update((data) => {
+            data.rules.push(rule);
+        });
+
+        logger.info(`Alert rule ${rule.id} (${rule.name}) created by '${createdBy}'`);
+        return rule;
+    }
+
+    /**
+     * Update an alert rule; changing the condition resets its evaluation state
+     */
+    updateRule(id, changes) {
+        const existing = this.getRule(id);
+
+        if (!existing) {
+            return null;
+        }
+
+        const { id: ignoredId, state, createdBy, createdAt, ...definition } = existing;
+        const normalized = this.normalizeRule({ ...definition, ...changes });
+        const conditionChanged = ['type', 'asset', 'currency', 'threshold', 'windowMinutes', 'level', 'direction']
+            .some(field => normalized[field] !== existing[field]);
+
+        const updated = {
+            ...existing,
+            ...normalized,
+            updatedAt: new Date().toISOString(),
+            state: conditionChanged ? this.initialState() : state
+        };
+
+        this.store.update((data) => {
+            data.rules = data.rules.map(rule => (rule.id === id ? updated : rule));
+        });
+
+        logger.info(`Alert rule ${id} updated`);
+        return updated;
+    }
+
+    /**
+     * Delete an alert rule
+     */
+    removeRule(id) {
+        const rules = this.listRules();
+        const remaining = rules.filter(rule => rule.id !== id);
+
+        if (remaining.length === rules.length) {
+            return false;
+        }
+
+        this.store.write({ rules: remaining });
+        logger.info(`Alert rule ${id} deleted`);
+        return true;
+    }
+
+    /**
+     * Validate a rule definition and fill in defaults
+     */
+    normalizeRule({ name, type, asset, currency, threshold, windowMinutes, level, direction, cooldownMinutes, quietHours, message, templateId, targets, enabled }) {
+        if (!RULE_TYPES.includes(type)) {
+            throw new Error(`Alert type must be one of: ${RULE_TYPES.join(', ')}`);
+        }
+
+        const rule = {
+            name: name || null,
+            type,
+            asset: (asset || config.marketAssets[0]).toUpperCase(),
+            currency: (currency || config.quoteCurrencies[0]).toUpperCase(),
+            direction: direction || 'any',
+            threshold: null,
+            windowMinutes: null,
+            level: null,
+            cooldownMinutes: cooldownMinutes !== undefined ? cooldownMinutes : config.alertCooldownMinutes,
+            quietHours: quietHours || null,
+            message: message || null,
+            templateId: templateId || null,
+            targets: targets || null,
+            enabled: enabled !== false
+        };
+
+        if (!config.marketAssets.includes(rule.asset) || !config.quoteCurrencies.includes(rule.currency)) {
+            throw new Error(`Alert pair ${rule.asset}/${rule.currency} is not configured (MARKET_ASSETS: ${config.marketAssets.join(', ')}; QUOTE_CURRENCIES: ${config.quoteCurrencies.join(', ')})`);
+        }
+
+        if (!DIRECTIONS.includes(rule.direction)) {
+            throw new Error(`Alert direction must be one of: ${DIRECTIONS.join(', ')}`);
+        }
+
+        if (type === 'change') {
+            if (typeof threshold !== 'number' || threshold <= 0) {
+                throw new Error('Change alerts need a positive threshold (percent)');
+            }
+
+            if (!Number.isInteger(windowMinutes) || windowMinutes * 60 < config.alertPollInterval) {
+                throw new Error(`Change alerts need a windowMinutes of at least the poll interval (${config.alertPollInterval}s)`);
+            }
+
+            rule.threshold = threshold;
+            rule.windowMinutes = windowMinutes;
+        } else {
+            if (typeof level !== 'number' || level <= 0) {
+                throw new Error('Cross alerts need a positive price level');
+            }
+
+            rule.level = level;
+        }
+
+        if (!Number.isInteger(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+            throw new Error('cooldownMinutes must be a non-negative integer');
+        }
+
+        if (rule.quietHours && (!TIME_PATTERN.test(rule.quietHours.start) || !TIME_PATTERN.test(rule.quietHours.end))) {
+            throw new Error('quietHours must be { "start": "HH:MM", "end": "HH:MM" } (scheduler timezone)');
+        }
+
+        if (rule.templateId && !templates.get(rule.templateId)) {
+            throw new Error(`Template '${rule.templateId}' not found`);
+        }
+
+        if (!rule.name) {
+            rule.name = type === 'change'
+                ? `${rule.asset} moves ${threshold}% in ${windowMinutes}m`
+                : `${rule.asset} crosses ${level} ${rule.currency}`;
+        }
+
+        return rule;
+    }
+
+    /**
+     * Message body a rule posts (before placeholders are filled)
+     */
+    getMessageBody(rule) {
+        if (rule.templateId) {
+            return templates.get(rule.templateId).body;
+        }
+
+        return rule.message || DEFAULT_MESSAGES[rule.type];
+    }
+
+    /**
+     * Evaluation state of a new (or changed) rule
+     */
+    initialState() {
+        return {
+            lastEvaluatedAt: null,
+            lastPrice: null,
+            lastChange: null,
+            lastTriggeredAt: null,
+            lastSuppressed: null,
+            pendingAlert: null,
+            lastError: null,
+            triggerCount: 0
+        };
+    }
+
+    /**
+     * Check whether the scheduler-timezone clock is inside a rule's quiet hours (ranges may wrap midnight)
+     */
+    isQuietTime(quietHours, now = new Date()) {
+        if (!quietHours) {
+            return false;
+        }
+
+        const time = now.toLocaleTimeString('en-GB', { timeZone: config.timezone, hour12: false, hour: '2-digit', minute: '2-digit' });
+        const { start, end } = quietHours;
+
+        return start <= end ? time >= start && time < end : time >= start || time < end;
+    }
+
+    /**
+     * Evaluate a rule's condition against the current quote; returns the trigger details or null
+     */
+    checkCondition(rule, quote) {
+        const movedUp = rule.direction !== 'down';
+        const movedDown = rule.direction !== 'up';
+
+        if (rule.type === 'cross') {
+            const previous = rule.state.lastPrice;
+            if (previous === null) {
+                return null;
+            }
+
+            if (movedUp && previous < rule.level && quote.price >= rule.level) {
+                return { direction: 'up' };
+            }
+
+            if (movedDown && previous > rule.level && quote.price <= rule.level) {
+                return { direction: 'down' };
+            }
+
+            return null;
+        }
+
+        const windowMs = rule.windowMinutes * 60 * 1000;
+        const pastPrice = marketData.getPriceAt(Date.now() - windowMs, windowMs / 4, { asset: rule.asset, currency: rule.currency });
+        if (pastPrice === null) {
+            return null;
+        }
+
+        const change = (quote.price - pastPrice) / pastPrice * 100;
+        if ((movedUp && change >= rule.threshold) || (movedDown && change <= -rule.threshold)) {
+            return { direction: change >= 0 ? 'up' : 'down', change: change.toFixed(2) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Poll the market data layer once and evaluate every enabled rule
+     */
+    async evaluate() {
+        if (this.isEvaluating) {
+            return;
+        }
+
+        const rules = this.listRules().filter(rule => rule.enabled);
+        if (rules.length === 0) {
+            return;
+        }
+
+        this.isEvaluating = true;
+        this.lastRunAt = new Date().toISOString();
+
+        try {
+            for (const rule of rules) {
+                await this.evaluateRule(rule);
+            }
+        } finally {
+            this.isEvaluating = false;
+        }
+    }
+
+    /**
+     * Evaluate a single rule and send its alert when it matches.
+     * A match during quiet hours is kept as the pending alert (a crossing also keeps the price before it)
+     * and sent with the current quote on the first evaluation after quiet hours end, if it still holds.
+     */
+    async evaluateRule(rule) {
+        const now = new Date();
+        const state = { ...rule.state, lastEvaluatedAt: now.toISOString(), lastError: null };
+
+        try {
+            const quote = await marketData.getConsensusQuote({ asset: rule.asset, currency: rule.currency });
+            if (!quote) {
+                throw new Error(`No price consensus for ${rule.asset}/${rule.currency}`);
+            }
+
+            const trigger = this.checkCondition(rule, quote);
+            const quiet = this.isQuietTime(rule.quietHours, now);
+            state.lastChange = trigger && trigger.change ? trigger.change : state.lastChange;
+
+            const cooldownEndsAt = rule.state.lastTriggeredAt
+                ? Date.parse(rule.state.lastTriggeredAt) + rule.cooldownMinutes * 60 * 1000
+                : 0;
+            const coolingDown = now.getTime() < cooldownEndsAt;
+
+            if (trigger && !coolingDown && quiet) {
+                state.pendingAlert = { ...trigger, price: quote.price, change24h: quote.change24h, at: now.toISOString() };
+                state.lastSuppressed = { reason: 'quiet_hours', at: now.toISOString() };
+                logger.info(`Alert '${rule.name}' matched during quiet hours (${rule.quietHours.start}-${rule.quietHours.end}), sending it when they end`);
+            } else {
+                state.lastPrice = quote.price;
+            }
+
+            // A match now replaces the one kept from quiet hours; a kept match is only posted while it still holds
+            const pending = !quiet && !trigger && rule.state.pendingAlert;
+            const released = pending && this.stillHolds(rule, pending, quote);
+            const due = trigger || released ? { quote, trigger: trigger || pending } : null;
+
+            if (pending && !released) {
+                state.pendingAlert = null;
+                state.lastSuppressed = { reason: 'no_longer_matching', at: now.toISOString() };
+                logger.info(`Alert '${rule.name}' matched during quiet hours at ${pending.at} but no longer holds, dropping it`);
+            }
+
+            if (due && coolingDown) {
+                state.pendingAlert = null;
+                state.lastSuppressed = { reason: 'cooldown', at: now.toISOString() };
+                logger.info(`Alert '${rule.name}' matched but is cooling down until ${new Date(cooldownEndsAt).toISOString()}`);
+            } else if (due && !quiet) {
+                await this.sendAlert(rule, due.quote, due.trigger);
+                state.pendingAlert = null;
+                state.lastTriggeredAt = now.toISOString();
+                state.triggerCount = rule.state.triggerCount + 1;
+            }
+
+            this.saveState(rule.id, state);
+        } catch (error) {
+            state.lastError = error.message;
+            logger.error(`Failed to evaluate alert '${rule.name}':`, error.message);
+
+            try {
+                this.saveState(rule.id, state);
+            } catch (saveError) {
+                logger.error(`Failed to save the state of alert '${rule.name}':`, saveError.message);
+            }
+        }
+    }
+
+    /**
+     * Check whether a match kept from quiet hours still holds for the current quote:
+     * the price is still past a crossed level, or the change over the window still exceeds the threshold
+     */
+    stillHolds(rule, pending, quote) {
+        if (rule.type === 'cross') {
+            return pending.direction === 'up' ? quote.price >= rule.level : quote.price <= rule.level;
+        }
+
+        return this.checkCondition(rule, quote) !== null;
+    }
+
+    /**
+     * Render a rule's message and post it
+     */
+    async sendAlert(rule, quote, trigger) {
+        const { bot, broadcastUpdate } = require('./bot');
+
+        const variables = {
+            name: rule.name,
+            asset: rule.asset,
+            currency: rule.currency,
+            price: bot.formatPrice(quote.price, rule.currency),
+            change: trigger.change ? bot.formatChange(trigger.change) : bot.formatChange(quote.change24h),
+            window: rule.windowMinutes ? this.formatWindow(rule.windowMinutes) : '24h',
+            level: rule.level ? bot.formatPrice(rule.level, rule.currency) : '',
+            direction: trigger.direction === 'up' ? '📈' : '📉'
+        };
+
+        const { text } = templates.render(this.getMessageBody(rule), variables);
+
+        logger.info(`Alert '${rule.name}' triggered (${rule.asset}/${rule.currency} at ${quote.price})`);
+        return broadcastUpdate(text, {
+            targets: rule.targets,
+            liveValues: [variables.price, variables.change, variables.level, variables.window].filter(Boolean),
+            buttons: rule.templateId ? templates.get(rule.templateId).buttons : null
+        });
+    }
+
+    /**
+     * Format an alert window, e.g. "1h" or "15m"
+     */
+    formatWindow(minutes) {
+        return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+    }
+
+    /**
+     * Persist a rule's evaluation state (the rule may have been deleted meanwhile)
+     */
+    saveState(id, state) {
+        this.store.update((data) => {
+            const rule = data.rules.find(entry => entry.id === id);
+            if (rule) {
+                rule.state = state;
+            }
+        });
+    }
+
+    /**
+     * Polling status and per-rule evaluation state for the scheduler status
+     */
+    getStatus() {
+        return {
+            polling: Boolean(this.timer),
+            pollIntervalSeconds: config.alertPollInterval,
+            lastRunAt: this.lastRunAt,
+            rules: this.listRules().map(rule => ({
+                id: rule.id,
+                name: rule.name,
+                enabled: rule.enabled,
+                ...rule.state
+            }))
+        };
+    }
+}
+
+// Create and export singleton instance
+const alerts = new AlertMonitor();
+
+module.exports = alerts;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const JsonStore = require('./store');
+
+// Roles in increasing order of privilege; each role includes the ones before it
+const ROLES = ['viewer', 'editor', 'publisher', 'admin'];
+const KEY_PREFIX = 'bvk';
+
+// lastUsedAt is only written when it is older than this, so busy keys don't rewrite the store on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyManager {
+    constructor() {
+        this.store = new JsonStore('api-keys.json', { keys: [] });
+        this.roles = ROLES;
+    }
+
+    /**
+     * Hash the secret part of an API key (keys are random, so a fast hash is sufficient)
+     */
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * Issue a new API key. The plain key is only returned here and never stored.
+     */
+    issueKey(user, role, createdBy = null) {
+        if (!user || typeof user !== 'string') {
+            throw new Error('User is required');
+        }
+
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role: ${role}. Available roles: ${ROLES.join(', ')}`);
+        }
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id,
+            user,
+            role,
+            hash: this.hashSecret(secret),
+            createdAt: new Date().toISOString(),
+            createdBy,
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.store.update((data) => {
+            data.keys.push(record);
+        });
+
+        logger.info(`API key ${id} issued for user '${user}' with role '${role}'`);
+        return {
+            ...this.toPublic(record),
+            key: `${KEY_PREFIX}_${id}_${secret}`
+        };
+    }
+
+    /**
+     * Revoke an API key
+     */
+    revokeKey(id) {
+        const data = this.store.read();
+        const record = data.keys.find(key => key.id === id);
+
+        if (!record) {
+            return null;
+        }
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            this.store.write(data);
+            logger.info(`API key ${id} for user '${record.user}' revoked`);
+        }
+
+        return this.toPublic(record);
+    }
+
+    /**
+     * List keys without their hashes
+     */
+    listKeys() {
+        return this.store.read().keys.map(record => this.toPublic(record));
+    }
+
+    /**
+     * Verify a presented key; returns the key's user and role or null
+     */
+    verify(presentedKey) {
+        const match = /^bvk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(presentedKey || '');
+        if (!match) {
+            return null;
+        }
+
+        const [, id, secret] = match;
+        const data = this.store.read();
+        const record = data.keys.find(key => key.id === id);
+
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(this.hashSecret(secret), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+            record.lastUsedAt = new Date(now).toISOString();
+            this.store.write(data);
+        }
+
+        return { keyId: record.id, user: record.user, role: record.role };
+    }
+
+    /**
+     * Check whether a role grants at least the required role
+     */
+    hasRole(role, requiredRole) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+    }
+
+    /**
+     * Strip the hash from a stored key record
+     */
+    toPublic({ hash, ...record }) {
+        return record;
+    }
+}
+
+// Create and export singleton instance
+const apiKeys = new ApiKeyManager();
+
+module.exports = apiKeys;
@@ -1,16 +1,40 @@
+const fs = require('fs');
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('./config');
 const logger = require('./logger');
-
-// Import fetch for Node.js compatibility
-const fetch = require('node-fetch');
+const queue = require('./message-queue');
+const retryPolicy = require('./retry-policy');
+const templates = require('./templates');
+const drafts = require('./drafts');
+const publishedMessages = require('./published-messages');
+const claims = require('./claims');
+const compliance = require('./compliance');
+const policy = require('./policy');
+const formatting = require('./formatting');
+const chunker = require('./chunker');
+const marketDataService = require('./market-data');
+const chart = require('./chart');
+const rotation = require('./rotation');
+const media = require('./media');
+const keyboards = require('./keyboards');
+
+// Path of the Telegram webhook route on the API server
+const WEBHOOK_PATH = '/telegram/webhook';
+
+// Template placeholders that require live market data
+const MARKET_PLACEHOLDERS = ['price', 'change24h', 'change7d', 'change30d', 'changeIcon', 'priceLine', 'marketCap', 'marketTable'];
+
+// Template placeholders whose values come from live providers (market data or the clock)
+const LIVE_PLACEHOLDERS = [...MARKET_PLACEHOLDERS, 'date', 'time', 'updatedAt'];
+
+// Published message types whose text is a caption
+const CAPTION_TYPES = ['photo', 'video', 'animation', 'document'];
 
 class BitVaultTelegramBot {
     constructor() {
         this.bot = null;
         this.isInitialized = false;
-        this.retryCount = 3;
-        this.retryDelay = 2000; // 2 seconds
+        this.destinationStatus = {};
     }
 
     /**
@@ -29,19 +53,36 @@ class BitVaultTelegramBot {
             // Disable polling to prevent conflicts in production environment
             this.bot = new TelegramBot(config.botToken, { polling: false });
             
-            // Commands disabled in production to prevent conflicts
-            // this.setupCommandHandlers();
+            // Commands are only handled in webhook mode (polling conflicts in production)
+            if (config.enableWebhook && config.enableCommands) {
+                this.setupCommandHandlers();
+            }
             
             // Test the bot connection
             const botInfo = await this.bot.getMe();
             logger.info(`Bot initialized successfully: @${botInfo.username}`);
             
-            // Attempt to verify channel access (non-blocking)
-            try {
-                await this.verifyChannelAccess();
-            } catch (error) {
-                logger.warn(`Channel verification failed, but bot will continue: ${error.message}`);
-                logger.warn(`To enable broadcasting, add @${botInfo.username} to ${config.channelId} as an admin`);
+            // Register or remove the Telegram webhook
+            await this.syncWebhook();
+            
+            // Route outbound messages through the persistent delivery queue
+            queue.registerSender('message', (chatId, payload) => this.deliverMessage(chatId, payload));
+            queue.registerSender('photo', (chatId, payload) => this.deliverPhoto(chatId, payload));
+            ['document', 'video', 'animation'].forEach(type => queue.registerSender(type, (chatId, payload) => this.deliverFile(type, chatId, payload)));
+            queue.registerSender('mediaGroup', (chatId, payload) => this.deliverMediaGroup(chatId, payload));
+            queue.registerSender('poll', (chatId, payload) => this.deliverPoll(chatId, payload));
+            queue.start();
+            
+            // Attempt to verify access to every destination (non-blocking)
+            for (const [name, chatId] of Object.entries(config.destinations)) {
+                try {
+                    const chat = await this.verifyChannelAccess(chatId);
+                    this.destinationStatus[name] = { chatId, verified: true, title: chat.title || chat.username || null };
+                } catch (error) {
+                    this.destinationStatus[name] = { chatId, verified: false, error: error.message };
+                    logger.warn(`Channel verification failed for destination '${name}', but bot will continue: ${error.message}`);
+                    logger.warn(`To enable broadcasting, add @${botInfo.username} to ${chatId} as an admin`);
+                }
             }
             
             this.isInitialized = true;
@@ -52,6 +93,31 @@ class BitVaultTelegramBot {
         }
     }
 
+    /**
+     * Reply to a command; a failed reply is logged rather than thrown, so it neither escapes the handler
+     * nor makes a successful broadcast look failed
+     */
+    async reply(chatId, text, options = {}) {
+        try {
+            return await this.bot.sendMessage(chatId, text, options);
+        } catch (error) {
+            logger.error(`Failed to reply in chat ${chatId}:`, this.describeTelegramError(error));
+            return null;
+        }
+    }
+
+    /**
+     * Answer an inline keyboard callback; failures (e.g. an expired query) are logged
+     */
+    async answerCallback(queryId, options) {
+        try {
+            return await this.bot.answerCallbackQuery(queryId, options);
+        } catch (error) {
+            logger.error(`Failed to answer callback query ${queryId}:`, this.describeTelegramError(error));
+            return null;
+        }
+    }
+
     /**
      * Setup command handlers for the bot
      */
@@ -76,23 +142,34 @@ class BitVaultTelegramBot {
             // Check authorization
             if (!isAuthorized(userId)) {
                 logger.warn(`Unauthorized access attempt from user: ${username} (${userId})`);
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                await this.reply(chatId, '❌ You are not authorized to use this bot.');
+                return;
+            }
+            
+            // The summary is posted without a draft, so it is refused while approval is required
+            if (config.requireApproval) {
+                await this.reply(chatId, '❌ Approval is required: submit the summary as a draft with /broadcast instead.');
                 return;
             }
             
             try {
                 // Send "thinking" message
-                await this.bot.sendMessage(chatId, '🔄 Preparing daily market summary...');
+                await this.reply(chatId, '🔄 Preparing daily market summary...');
                 
                 // Send the daily market summary
                 const result = await this.sendDailyMarketSummary();
                 
+                if (result.skipped) {
+                    await this.reply(chatId, `⚠️ Daily market summary skipped: ${result.reason}`);
+                    return;
+                }
+                
                 // Confirm success to the user
-                await this.bot.sendMessage(chatId, `✅ Daily market summary sent successfully!\n\nMessage ID: ${result.messageId}\nTime: ${result.timestamp}`);
+                await this.reply(chatId, `✅ Daily market summary sent successfully!\n\nMessage ID: ${result.messageId}\nData source: ${result.dataSource || 'none'}\nTime: ${result.timestamp}`);
                 
             } catch (error) {
                 logger.error(`Failed to send daily summary via command: ${error.message}`);
-                await this.bot.sendMessage(chatId, `❌ Failed to send broadcast: ${error.message}`);
+                await this.reply(chatId, `❌ Failed to send broadcast: ${error.message}`);
             }
         });
 
@@ -108,23 +185,30 @@ class BitVaultTelegramBot {
             // Check authorization
             if (!isAuthorized(userId)) {
                 logger.warn(`Unauthorized access attempt from user: ${username} (${userId})`);
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                await this.reply(chatId, '❌ You are not authorized to use this bot.');
                 return;
             }
             
             try {
+                // With approval required, the command only submits a draft for review
+                if (config.requireApproval) {
+                    const draft = await this.submitDraft({ message: customMessage, createdBy: `telegram:${userId}` });
+                    await this.reply(chatId, `📝 Draft ${draft.id} submitted for review. Another reviewer must approve it before it is published.`);
+                    return;
+                }
+                
                 // Send "thinking" message
-                await this.bot.sendMessage(chatId, '🔄 Sending custom broadcast...');
+                await this.reply(chatId, '🔄 Sending custom broadcast...');
                 
                 // Send the custom message
                 const result = await this.broadcastUpdate(customMessage);
                 
                 // Confirm success to the user
-                await this.bot.sendMessage(chatId, `✅ Custom broadcast sent successfully!\n\nMessage ID: ${result.messageId}\nTime: ${result.timestamp}`);
+                await this.reply(chatId, `✅ Custom broadcast sent successfully!\n\nMessage ID: ${result.messageId}\nTime: ${result.timestamp}`);
                 
             } catch (error) {
                 logger.error(`Failed to send custom broadcast via command: ${error.message}`);
-                await this.bot.sendMessage(chatId, `❌ Failed to send broadcast: ${error.message}`);
+                await this.reply(chatId, `❌ Failed to send broadcast: ${error.message}`);
             }
         });
 
@@ -143,7 +227,7 @@ class BitVaultTelegramBot {
 
 Your User ID: \`${userId}\`
 Contact the bot owner to get access.`;
-                await this.bot.sendMessage(chatId, unauthorizedMessage, { parse_mode: 'Markdown' });
+                await this.reply(chatId, unauthorizedMessage, { parse_mode: 'Markdown' });
                 return;
             }
             
@@ -163,7 +247,35 @@ Available commands:
 
 Send me any of these commands and I'll broadcast to the channel!`;
 
-            await this.bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+            await this.reply(chatId, helpMessage, { parse_mode: 'Markdown' });
+        });
+
+        // Draft review buttons (inline keyboard callbacks)
+        this.bot.on('callback_query', async (query) => {
+            const match = /^draft:(approve|reject):([0-9a-f]+)$/.exec(query.data || '');
+            if (!match) {
+                return;
+            }
+            
+            const [, decision, draftId] = match;
+            const userId = query.from.id.toString();
+            const username = query.from.username || query.from.first_name;
+            
+            if (!config.reviewerUserIds.includes(userId)) {
+                logger.warn(`Unauthorized draft review attempt from user: ${username} (${userId})`);
+                await this.answerCallback(query.id, { text: '❌ You are not authorized to review drafts.', show_alert: true });
+                return;
+            }
+            
+            try {
+                const draft = await this.reviewDraft(draftId, decision, `telegram:${userId}`, { via: 'telegram' });
+                await this.answerCallback(query.id, {
+                    text: draft ? `Draft ${draftId} ${draft.status}` : `Draft ${draftId} not found`
+                });
+            } catch (error) {
+                logger.error(`Failed to review draft ${draftId} via Telegram: ${error.message}`);
+                await this.answerCallback(query.id, { text: `❌ ${error.message}`, show_alert: true });
+            }
         });
 
         // Handle any errors from polling
@@ -175,652 +287,1218 @@ Send me any of these commands and I'll broadcast to the channel!`;
     }
 
     /**
-     * Verify that the bot has access to the channel
+     * Register the webhook in webhook mode, otherwise remove any stale webhook
      */
-    async verifyChannelAccess() {
+    async syncWebhook() {
         try {
-            const chat = await this.bot.getChat(config.channelId);
-            logger.info(`Channel access verified: ${chat.title || chat.username}`);
-            return true;
-        } catch (error) {
-            if (error.response && error.response.body) {
-                try {
-                    const errorData = typeof error.response.body === 'string' 
-                        ? JSON.parse(error.response.body) 
-                        : error.response.body;
-                    
-                    if (errorData.error_code === 400) {
-                        throw new Error(`Invalid CHANNEL_ID: ${config.channelId}. Make sure the bot is added to the channel as an admin.`);
-                    } else if (errorData.error_code === 403) {
-                        throw new Error(`Bot doesn't have permission to access channel: ${config.channelId}. Add the bot as an admin.`);
-                    }
-                } catch (parseError) {
-                    logger.warn('Failed to parse Telegram API error response:', parseError.message);
-                }
+            if (config.enableWebhook) {
+                const webhookUrl = `${config.webhookUrl.replace(/\/+$/, '')}${WEBHOOK_PATH}`;
+                await this.bot.setWebHook(webhookUrl, {
+                    secret_token: config.webhookSecret,
+                    allowed_updates: JSON.stringify(['message', 'callback_query'])
+                });
+                logger.info(`Telegram webhook registered: ${webhookUrl}`);
+            } else {
+                await this.bot.deleteWebHook();
+                logger.info('Telegram webhook removed (webhook mode disabled)');
             }
-            throw new Error(`Channel verification failed: ${error.message}`);
+        } catch (error) {
+            logger.warn(`Failed to sync Telegram webhook: ${error.message}`);
         }
     }
 
     /**
-     * Send a message with retry mechanism
+     * Pass an update received on the webhook to the command handlers
      */
-    async sendMessageWithRetry(message, options = {}, attempt = 1) {
-        try {
-            // Log the full message being sent for debugging
-            logger.info(`Sending message (length: ${message.length}):`, message.substring(0, 200) + (message.length > 200 ? '...' : ''));
-            
-            const result = await this.bot.sendMessage(config.channelId, message, {
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true,
-                ...options
-            });
-            
-            logger.info(`Message sent successfully to channel (message_id: ${result.message_id})`);
-            return result;
-        } catch (error) {
-            logger.warn(`Attempt ${attempt} failed:`, error.message);
-            
-            if (attempt < this.retryCount) {
-                logger.info(`Retrying in ${this.retryDelay}ms... (attempt ${attempt + 1}/${this.retryCount})`);
-                await this.delay(this.retryDelay);
-                return this.sendMessageWithRetry(message, options, attempt + 1);
-            }
-            
-            throw error;
+    processWebhookUpdate(update) {
+        if (!this.bot) {
+            throw new Error('Bot not initialized. Call initialize() first.');
         }
+        this.bot.processUpdate(update);
     }
 
     /**
-     * Broadcast update message to the channel
+     * Verify that the bot has access to a channel
      */
-    async broadcastUpdate(message) {
-        if (!this.isInitialized) {
-            throw new Error('Bot not initialized. Call initialize() first.');
-        }
-
-        if (!message || typeof message !== 'string') {
-            throw new Error('Message must be a non-empty string');
-        }
-
-        // Clean and preserve the message formatting
-        const cleanMessage = message.trim();
-        
+    async verifyChannelAccess(chatId = config.channelId) {
         try {
-            logger.info(`Broadcasting update message (${cleanMessage.length} characters)...`);
-            logger.debug('Full message content:', cleanMessage);
-            const result = await this.sendMessageWithRetry(cleanMessage);
-            
-            logger.info('Broadcast successful');
-            return {
-                success: true,
-                messageId: result.message_id,
-                timestamp: new Date().toISOString()
-            };
+            const chat = await this.bot.getChat(chatId);
+            logger.info(`Channel access verified: ${chat.title || chat.username}`);
+            return chat;
         } catch (error) {
-            logger.error('Broadcast failed:', error.message);
+            const errorData = retryPolicy.parseTelegramError(error);
             
-            // Handle specific Telegram API errors
-            if (error.response && error.response.body) {
-                try {
-                    const errorData = typeof error.response.body === 'string' 
-                        ? JSON.parse(error.response.body) 
-                        : error.response.body;
-                    const errorCode = errorData.error_code;
-                    const errorDescription = errorData.description;
-                    
-                    switch (errorCode) {
-                        case 400:
-                            throw new Error(`Bad Request: ${errorDescription}`);
-                        case 403:
-                            throw new Error(`Forbidden: Bot lacks permission. ${errorDescription}`);
-                        case 429:
-                            throw new Error(`Rate Limited: Too many requests. ${errorDescription}`);
-                        case 502:
-                        case 503:
-                        case 504:
-                            throw new Error(`Telegram API temporarily unavailable: ${errorDescription}`);
-                        default:
-                            throw new Error(`Telegram API Error (${errorCode}): ${errorDescription}`);
-                    }
-                } catch (parseError) {
-                    logger.warn('Failed to parse Telegram API error response:', parseError.message);
-                }
+            if (errorData && errorData.error_code === 400) {
+                throw new Error(`Invalid channel ID: ${chatId}. Make sure the bot is added to the channel as an admin.`);
+            } else if (errorData && errorData.error_code === 403) {
+                throw new Error(`Bot doesn't have permission to access channel: ${chatId}. Add the bot as an admin.`);
             }
-            
-            throw new Error(`Failed to broadcast message: ${error.message}`);
+            throw new Error(`Channel verification failed: ${error.message}`);
         }
     }
 
     /**
-     * Send professional daily market summary with varied content
+     * Resolve destination names to chat IDs (defaults to DEFAULT_TARGETS)
      */
-    async sendDailyMarketSummary() {
-        try {
-            // Get real-time Bitcoin market data
-            const marketData = await this.getBitcoinPrice();
-            
-            // Generate varied professional content
-            const summary = this.generateDailyMessage(marketData);
-            
-            logger.info('Sending daily professional market summary...');
-            return await this.broadcastUpdate(summary);
-        } catch (error) {
-            logger.error('Failed to send daily market summary:', error.message);
-            throw error;
+    resolveTargets(targets) {
+        const names = targets && targets.length > 0 ? targets : config.defaultTargets;
+        const unknown = names.filter(name => !config.destinations[name]);
+
+        if (unknown.length > 0) {
+            throw new Error(`Unknown destination(s): ${unknown.join(', ')}. Available: ${Object.keys(config.destinations).join(', ')}`);
         }
+
+        return [...new Set(names)].map(name => ({ name, chatId: config.destinations[name] }));
     }
 
     /**
-     * Generate professional, mature daily market messages with real-time data
+     * Send a message through the persistent queue (transient failures retried per retry policy).
+     * Resolves with { message, history }.
      */
-    generateDailyMessage(marketData) {
-        const { price, change24h, marketCap } = marketData;
-        const changeIcon = parseFloat(change24h) >= 0 ? '📈' : '📉';
-        const changeText = parseFloat(change24h) >= 0 ? '+' + change24h : change24h;
-        const priceFormatted = price.toLocaleString('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
+    async sendMessageWithRetry(chatId, message, options = {}) {
+        return queue.enqueue('message', chatId, {
+            text: message,
+            options: {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                ...options
+            }
         });
+    }
+
+    /**
+     * Deliver a queued text message to Telegram
+     */
+    async deliverMessage(chatId, { text, options }) {
+        // Log the full message being sent for debugging
+        logger.info(`Sending message to ${chatId} (length: ${text.length}):`, text.substring(0, 200) + (text.length > 200 ? '...' : ''));
         
-        // Time and day awareness
-        const now = new Date();
-        const hour = now.getUTCHours();
-        const day = now.getUTCDay(); // 0 = Sunday, 6 = Saturday
-        const isWeekend = day === 0 || day === 6;
-        const isMorning = hour >= 6 && hour < 12;
-        const isAfternoon = hour >= 12 && hour < 18;
-        const isEvening = hour >= 18 && hour <= 23;
-        const isNight = hour >= 0 && hour < 6;
-        
-        // Current market cap formatting
-        const marketCapFormatted = marketCap ? `$${marketCap}B` : '$1.9T';
-        
-        // Professional messages rotating every 7 days
-        const messageId = Math.floor(Date.now() / (1000 * 60 * 60 * 24 * 7)) % 20; // 20 professional variations
-        
-        // Time-specific greetings and comfort elements
-        let timeGreeting = '';
-        let timeComfort = '';
-        let timeMotivation = '';
-        
-        if (isMorning) {
-            timeGreeting = isWeekend ? '🌅 *Weekend Morning Blessings!*' : '🌅 *Good Morning, Champions!*';
-            timeComfort = 'Start your day with confidence knowing BitVault Pro is already working for you.';
-            timeMotivation = 'Fresh opportunities await those who take action early!';
-        } else if (isAfternoon) {
-            timeGreeting = isWeekend ? '☀️ *Peaceful Weekend Afternoon!*' : '☀️ *Midday Success Check!*';
-            timeComfort = 'While you enjoy your day, your investments are growing steadily.';
-            timeMotivation = 'The afternoon sun shines brightest on profitable decisions!';
-        } else if (isEvening) {
-            timeGreeting = isWeekend ? '🌆 *Relaxing Weekend Evening!*' : '🌆 *Evening Prosperity Update!*';
-            timeComfort = 'End your day knowing your financial future is secure and growing.';
-            timeMotivation = 'Smart evening decisions create tomorrow\'s wealth!';
-        } else {
-            timeGreeting = isWeekend ? '🌙 *Peaceful Weekend Night!*' : '🌙 *Late Night Opportunity!*';
-            timeComfort = 'Rest easy - your money never sleeps and neither does our dedication to your success.';
-            timeMotivation = 'Night owls catch the best investment opportunities!';
-        }
+        const result = await this.withPlainTextFallback(chatId, text, options, (content, sendOptions) => this.bot.sendMessage(chatId, content, sendOptions));
         
-        // Professional, mature financial messages
-        const professionalMessages = [
-            // Professional Market Analysis (1)
-            `🏛️ *BitVault Pro Market Intelligence*
+        logger.info(`Message sent successfully to ${chatId} (message_id: ${result.message_id})`);
+        return result;
+    }
 
-📊 *Current Bitcoin Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-💼 *Market Capitalization*: ${marketCapFormatted}
-⏰ *Updated*: ${new Date().toLocaleString('en-US', { timeZone: 'UTC', hour12: false })} UTC
+    /**
+     * Deliver a queued photo to Telegram
+     */
+    async deliverPhoto(chatId, { photo, options }) {
+        const { caption, ...photoOptions } = options;
+        const result = await this.withPlainTextFallback(chatId, caption, photoOptions, (content, sendOptions) => this.bot.sendPhoto(chatId, photo, { ...sendOptions, caption: content }));
+        
+        logger.info(`Image sent successfully to ${chatId} (message_id: ${result.message_id})`);
+        return result;
+    }
 
-📈 *Market Analysis*
-Bitcoin continues to demonstrate its position as a premier digital asset. Our algorithmic trading systems are actively monitoring market conditions and optimizing portfolio performance across all client accounts.
+    /**
+     * Deliver a queued document, video or animation to Telegram
+     */
+    async deliverFile(type, chatId, { file, fileOptions, options }) {
+        const method = { document: 'sendDocument', video: 'sendVideo', animation: 'sendAnimation' }[type];
+        const { caption, ...sendFileOptions } = options;
+        const result = await this.withPlainTextFallback(chatId, caption, sendFileOptions, (content, sendOptions) => this.bot[method](chatId, file, { ...sendOptions, caption: content }, fileOptions));
+        
+        logger.info(`${type} sent successfully to ${chatId} (message_id: ${result.message_id})`);
+        return result;
+    }
 
-🔐 *Security Update*
-All client assets remain secured in institutional-grade cold storage. Our multi-signature protocols and 24/7 monitoring ensure maximum protection of your investments.
+    /**
+     * Deliver a queued media group (album) to Telegram; the caption goes on the first item.
+     * Resolves with the array of sent messages.
+     */
+    async deliverMediaGroup(chatId, { items, caption, options }) {
+        const result = await this.withPlainTextFallback(chatId, caption, options, (content, sendOptions) => this.bot.sendMediaGroup(chatId, items.map((item, index) => (
+            index === 0 && content ? { ...item, caption: content, ...sendOptions } : item
+        ))));
+        
+        logger.info(`Media group sent successfully to ${chatId} (message_ids: ${result.map(message => message.message_id).join(', ')})`);
+        return result;
+    }
 
-💎 *Portfolio Performance*
-BitVault Pro's diversified approach continues to outperform traditional Bitcoin holding strategies through our proprietary risk management systems.
+    /**
+     * Deliver a queued poll to Telegram
+     */
+    async deliverPoll(chatId, { question, pollOptions, options }) {
+        const result = await this.bot.sendPoll(chatId, question, pollOptions, { ...options });
+        
+        logger.info(`Poll sent successfully to ${chatId} (message_id: ${result.message_id})`);
+        return result;
+    }
 
-*Professional Bitcoin Investment Solutions* 🚀`,
+    /**
+     * Send formatted content; when Telegram rejects its entities, resend it once as plain text
+     * (the result is flagged with plainTextFallback)
+     */
+    async withPlainTextFallback(chatId, content, options, send) {
+        try {
+            return await send(content, options);
+        } catch (error) {
+            if (!content || !options.parse_mode || !formatting.isEntityError(error)) {
+                throw error;
+            }
+            
+            logger.warn(`Telegram rejected the ${options.parse_mode} entities for ${chatId}, resending as plain text: ${this.describeTelegramError(error)}`);
+            const { parse_mode: parseMode, ...plainOptions } = options;
+            const result = await send(formatting.toPlain(content, parseMode), plainOptions);
+            return Array.isArray(result)
+                ? result.map(message => ({ ...message, plainTextFallback: true }))
+                : { ...result, plainTextFallback: true };
+        }
+    }
 
-            // Institutional Grade Analysis (2)
-            `⚡ *BitVault Pro Trading Desk Update*
+    /**
+     * Send to every destination and collect a per-destination result.
+     * `send` resolves with { message, history } or, for content sent in several parts, { messages: [{ message, type, content }], history }.
+     * Every delivered message is recorded in the published message log, with the live values its claims were checked against.
+     */
+    async deliverToDestinations(destinations, send, { type, content, parseMode = 'Markdown', liveValues = null }) {
+        const entries = await Promise.all(destinations.map(async ({ name, chatId }) => {
+            try {
+                const delivery = await send(chatId, name);
+                const parts = delivery.messages || [{ message: delivery.message, type, content }];
+                const records = this.recordParts(name, chatId, parts, parseMode, liveValues);
+                return [name, {
+                    success: true,
+                    chatId,
+                    messageId: parts[0].message.message_id,
+                    messageIds: parts.map(part => part.message.message_id),
+                    publishedId: records[0].id,
+                    publishedIds: records.map(record => record.id),
+                    plainTextFallback: parts.some(part => part.message.plainTextFallback),
+                    attempts: delivery.history
+                }];
+            } catch (error) {
+                logger.error(`Delivery to destination '${name}' failed:`, error.message);
+                
+                // Parts delivered before the failure stay published
+                const delivered = error.messages || [];
+                this.recordParts(name, chatId, delivered, parseMode, liveValues);
+                return [name, {
+                    success: false,
+                    chatId,
+                    error: this.describeTelegramError(error),
+                    messageIds: delivered.map(part => part.message.message_id),
+                    deadLetterId: error.deadLetterId,
+                    attempts: error.history
+                }];
+            }
+        }));
 
-💹 *Bitcoin Current Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-🌍 *Global Market Cap*: ${marketCapFormatted}
-📊 *Trading Volume*: Active across multiple exchanges
+        return Object.fromEntries(entries);
+    }
 
-🎯 *Strategic Positioning*
-Our quantitative analysis indicates continued strength in Bitcoin's technical fundamentals. Client portfolios are positioned to capitalize on both short-term volatility and long-term appreciation.
+    /**
+     * Record delivered parts in the published message log
+     */
+    recordParts(destination, chatId, parts, parseMode, liveValues) {
+        return parts.map(({ message, type, content, footer, replyMarkup }) => publishedMessages.record({
+            destination,
+            chatId,
+            messageId: message.message_id,
+            type,
+            content,
+            footer,
+            parseMode: message.plainTextFallback ? 'plain' : parseMode,
+            replyMarkup,
+            liveValues
+        }));
+    }
 
-🏦 *Institutional Backing*
-Major financial institutions continue their Bitcoin adoption, providing additional market stability and validation for our investment thesis.
+    /**
+     * Send the parts of a message in order, each waiting for the previous one (`send` receives the messages
+     * delivered so far). A part that delivers several messages (a media group) gives one type per message.
+     * Resolves with { messages, history }; on failure the parts already delivered are attached to the error.
+     */
+    async sendInOrder(parts) {
+        const messages = [];
+        const history = [];
+        
+        for (const { type, content, footer, replyMarkup, send } of parts) {
+            try {
+                const result = await send(messages);
+                [].concat(result.message).forEach((message, index) => messages.push({
+                    message,
+                    type: Array.isArray(type) ? type[index] : type,
+                    content: index === 0 ? content : '',
+                    footer,
+                    replyMarkup
+                }));
+                history.push(...(result.history || []));
+            } catch (error) {
+                error.messages = messages;
+                throw error;
+            }
+        }
+        
+        return { messages, history };
+    }
 
-⚙️ *System Performance*
-All trading algorithms operating at optimal efficiency. Risk management protocols active. Client accounts showing consistent growth patterns.
+    /**
+     * Split text into messages that fit Telegram's limit; the destination's footer goes on the last one
+     */
+    splitWithFooter(content, destination, parseMode) {
+        const parts = chunker.split(content, compliance.limits.text, {
+            parseMode,
+            lastLimit: compliance.getAvailableLength('text', destination, parseMode)
+        });
+        const last = parts.pop() || '';
+        
+        return [
+            ...parts.map(part => ({ body: part, text: part, footer: false })),
+            { body: last, text: compliance.apply(last, destination, 'text', parseMode), footer: true }
+        ];
+    }
 
-*Excellence in Digital Asset Management* 💼`,
+    /**
+     * Build the broadcast result; throws when no destination received the message
+     */
+    summarizeDelivery(results, failurePrefix) {
+        const outcomes = Object.values(results);
+        const delivered = outcomes.filter(result => result.success);
 
-            // Technical Analysis Report (3)
-            `🔬 *BitVault Pro Technical Analysis*
+        if (delivered.length === 0) {
+            const error = new Error(`${failurePrefix}: ${outcomes.map(result => result.error).join('; ')}`);
+            error.results = results;
+            throw error;
+        }
 
-🪙 *Bitcoin Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *Market Dominance*: 42.3% | *Fear & Greed*: 68 (Greed)
-⚡ *24h Volume*: $31.2B across major exchanges
+        return {
+            success: true,
+            messageId: delivered[0].messageId,
+            messageIds: delivered[0].messageIds,
+            delivered: delivered.length,
+            failed: outcomes.length - delivered.length,
+            results,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-📈 *Technical Indicators*
-RSI: 58.2 (Neutral) | MACD: Bullish divergence | Moving Averages: Strong support at $92K level. Our algorithmic models indicate continued upward momentum with strategic accumulation zones identified.
+    /**
+     * Turn a Telegram API error into a readable message
+     */
+    describeTelegramError(error) {
+        const errorData = retryPolicy.parseTelegramError(error);
 
-🏛️ *Institutional Flow*
-Net inflows of $2.1B this week from institutional accounts. ETF holdings increased by 12,847 BTC. Corporate treasury adoptions accelerating across Fortune 500 companies.
+        if (!errorData || !errorData.error_code) {
+            return error.message;
+        }
 
-⚙️ *BitVault Advantage*
-Our proprietary trading algorithms have captured 127% of Bitcoin's movement through strategic positioning and risk management protocols.
+        const errorDescription = errorData.description;
+        switch (errorData.error_code) {
+            case 400:
+                return `Bad Request: ${errorDescription}`;
+            case 403:
+                return `Forbidden: Bot lacks permission. ${errorDescription}`;
+            case 429:
+                return `Rate Limited: Too many requests. ${errorDescription}`;
+            case 502:
+            case 503:
+            case 504:
+                return `Telegram API temporarily unavailable: ${errorDescription}`;
+            default:
+                return `Telegram API Error (${errorData.error_code}): ${errorDescription}`;
+        }
+    }
 
-*Precision in Digital Asset Management* 🎯`,
+    /**
+     * Send image with caption through the persistent queue.
+     * A caption that does not fit the caption limit with its footer follows the image as a message
+     * (split if needed); the image then carries only the footer.
+     * The queue takes ownership of the image file and removes it once every destination has it.
+     * options.buttons (a saved layout ID or rows of URL buttons) adds an inline keyboard to the last message.
+     */
+    async sendImageWithCaption(imagePath, caption = '', options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Bot not initialized. Call initialize() first.');
+        }
 
-            // Risk Management Update (4)
-            `🛡️ *BitVault Pro Risk Management Report*
+        const destinations = this.resolveTargets(options.targets);
+        const parseMode = options.parseMode || 'Markdown';
+        if (caption) {
+            formatting.enforce(caption, parseMode);
+        }
+        const checkedCaption = formatting.toCheckedText(caption, parseMode);
+        const lintReport = caption ? policy.enforce(checkedCaption) : null;
+        const claimsReport = caption ? claims.enforce(checkedCaption, { liveValues: options.liveValues }) : null;
+        
+        const replyMarkup = keyboards.toReplyMarkup(keyboards.resolve(options.buttons));
+        
+        const body = (caption || '').trim();
+        const { outgoing, moved } = this.planCaptions(body, destinations, parseMode);
+        
+        // Buttons go on the last message: the photo, or the last follow-up message of a moved caption
+        const results = await this.deliverToDestinations(destinations, (chatId, name) => this.sendInOrder(this.withButtons([
+            {
+                type: 'photo',
+                content: moved.includes(name) ? '' : body,
+                send: (delivered, extra) => queue.enqueue('photo', chatId, {
+                    photo: imagePath,
+                    options: {
+                        caption: outgoing[name].caption,
+                        ...formatting.toTelegramOptions(parseMode),
+                        ...extra
+                    },
+                    ownedFiles: [imagePath]
+                })
+            },
+            ...this.toFollowUpParts(chatId, outgoing[name].followUp, parseMode)
+        ], replyMarkup)), { type: 'photo', content: body, parseMode, liveValues: options.liveValues });
+        
+        return {
+            ...this.summarizeDelivery(results, 'Failed to send image'),
+            captionMoved: moved.length > 0,
+            lint: lintReport,
+            claims: claimsReport
+        };
+    }
 
-💼 *Bitcoin Position*: ${priceFormatted} ${changeIcon} ${changeText}%
-🔐 *Client Assets Secured*: 100% | *System Uptime*: 99.97%
-📋 *Compliance Status*: Fully regulated and audited
+    /**
+     * Every caption carries its destination's disclaimer footer; captions that are too long move into
+     * follow-up messages and the media carries only the footer. Returns { outgoing: { [name]: { caption, followUp } }, moved }.
+     */
+    planCaptions(body, destinations, parseMode) {
+        const moved = destinations.filter(({ name }) => body.length > compliance.getAvailableLength('caption', name, parseMode)).map(({ name }) => name);
+        const outgoing = Object.fromEntries(destinations.map(({ name }) => [name, moved.includes(name)
+            ? { caption: compliance.apply('', name, 'caption', parseMode), followUp: this.splitWithFooter(body, name, parseMode) }
+            : { caption: compliance.apply(body, name, 'caption', parseMode), followUp: [] }
+        ]));
+        
+        if (moved.length > 0) {
+            logger.info(`Caption (${body.length} characters) exceeds the caption limit, sending it as a follow-up message to ${moved.join(', ')}`);
+        }
+        
+        return { outgoing, moved };
+    }
 
-⚖️ *Risk Assessment*
-Current market volatility: Moderate. Our dynamic hedging strategies have reduced portfolio drawdowns by 34% compared to standard Bitcoin holding. Stop-loss mechanisms and position sizing protocols active.
+    /**
+     * Parts for the follow-up messages of a moved caption
+     */
+    toFollowUpParts(chatId, followUp, parseMode) {
+        return followUp.map(part => ({
+            type: 'text',
+            content: part.body,
+            footer: part.footer,
+            send: (delivered, extra) => this.sendMessageWithRetry(chatId, part.text, { ...formatting.toTelegramOptions(parseMode), ...extra })
+        }));
+    }
 
-🏦 *Custody Standards*
-Multi-signature cold storage | Segregated client accounts | $200M insurance coverage | SOC 2 Type II certified infrastructure
+    /**
+     * Put an inline keyboard on the last of the parts (its send receives the reply_markup option)
+     */
+    withButtons(parts, replyMarkup) {
+        if (!replyMarkup) {
+            return parts;
+        }
+        
+        const last = parts[parts.length - 1];
+        return [
+            ...parts.slice(0, -1),
+            { ...last, replyMarkup, send: delivered => last.send(delivered, { reply_markup: replyMarkup }) }
+        ];
+    }
 
-📊 *Performance Metrics*
-YTD Returns: +187% | Max Drawdown: -8.2% | Sharpe Ratio: 2.34 | Client satisfaction: 97.8%
+    /**
+     * Broadcast a media group, document, video, animation or poll (a media spec, see media.js) through the queue.
+     * Captions go through the same checks and footer rules as image captions. Polls cannot carry a footer,
+     * so the destination's disclaimer follows the poll as a reply.
+     * The queue removes the media files after delivery unless options.keepFiles is set (scheduled broadcasts).
+     */
+    async sendMedia(spec, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Bot not initialized. Call initialize() first.');
+        }
 
-*Institutional-Grade Risk Management* 💎`,
+        media.validate(spec);
+        const destinations = this.resolveTargets(options.targets);
+        const parseMode = options.parseMode || 'Markdown';
+        const isPoll = spec.type === 'poll';
+        const caption = isPoll ? '' : (spec.caption || '').trim();
+        
+        // Poll text is always plain; captions must parse in the chosen mode
+        if (caption) {
+            formatting.enforce(caption, parseMode);
+        }
+        const checkedText = isPoll ? media.getText(spec) : formatting.toCheckedText(caption, parseMode);
+        const lintReport = checkedText ? policy.enforce(checkedText) : null;
+        const claimsReport = checkedText ? claims.enforce(checkedText, { liveValues: options.liveValues }) : null;
+        
+        const { outgoing, moved } = isPoll ? { outgoing: {}, moved: [] } : this.planCaptions(caption, destinations, parseMode);
+        const content = isPoll ? spec.poll.question : caption;
+        
+        logger.info(`Broadcasting ${media.describe(spec)} to ${destinations.map(d => d.name).join(', ')}...`);
+        
+        const results = await this.deliverToDestinations(destinations, (chatId, name) => this.sendInOrder(isPoll
+            ? this.toPollParts(spec.poll, chatId, name, parseMode)
+            : [
+                this.toMediaPart(spec, chatId, { caption: outgoing[name].caption, content: moved.includes(name) ? '' : caption, parseMode, keepFiles: options.keepFiles }),
+                ...this.toFollowUpParts(chatId, outgoing[name].followUp, parseMode)
+            ]), { type: spec.type, content, parseMode, liveValues: options.liveValues });
+        
+        return {
+            ...this.summarizeDelivery(results, `Failed to send ${spec.type}`),
+            type: spec.type,
+            captionMoved: moved.length > 0,
+            lint: lintReport,
+            claims: claimsReport
+        };
+    }
 
-            // Market Intelligence (5)
-            `🧠 *BitVault Pro Market Intelligence*
+    /**
+     * Queue part for a media group, document, video or animation
+     */
+    toMediaPart(spec, chatId, { caption, content, parseMode, keepFiles }) {
+        const ownedFiles = keepFiles ? [] : spec.files.map(file => file.path);
+        const toFileOptions = file => ({ filename: file.name, contentType: file.mimeType });
+        
+        if (spec.type === 'mediaGroup') {
+            return {
+                type: spec.files.map(file => file.kind),
+                content,
+                send: () => queue.enqueue('mediaGroup', chatId, {
+                    items: spec.files.map(file => ({ type: file.kind, media: file.path, fileOptions: toFileOptions(file) })),
+                    caption,
+                    options: formatting.toTelegramOptions(parseMode),
+                    ownedFiles
+                })
+            };
+        }
+        
+        const [file] = spec.files;
+        return {
+            type: spec.type,
+            content,
+            send: () => queue.enqueue(spec.type, chatId, {
+                file: file.path,
+                fileOptions: toFileOptions(file),
+                options: { caption, ...formatting.toTelegramOptions(parseMode) },
+                ownedFiles
+            })
+        };
+    }
 
-🌐 *Global Bitcoin Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-🏪 *Exchange Distribution*: Binance 23.4% | Coinbase 18.7% | Kraken 12.1%
-⏱️ *Market Session*: ${hour < 12 ? 'Asian' : hour < 18 ? 'European' : 'American'} Trading Hours
-
-🎯 *Strategic Outlook*
-Bitcoin's correlation with traditional assets remains low at 0.23, maintaining its portfolio diversification benefits. Mining difficulty increased 3.2%, indicating robust network security and adoption.
-
-💡 *Innovation Pipeline*
-Lightning Network capacity grew 18% this quarter. Layer-2 solutions showing increased adoption. Central Bank Digital Currency developments remain Bitcoin-positive.
-
-🚀 *Client Positioning*
-BitVault Pro portfolios optimally positioned for Q4 institutional re-balancing cycle. Average client allocation: 67% BTC, 33% strategic altcoins.
-
-*Intelligence-Driven Investment Solutions* 📡`,
-
-            // Regulatory & Compliance (6)
-            `⚖️ *BitVault Pro Compliance Update*
-
-🏛️ *Bitcoin Market Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-📜 *Regulatory Environment*: Favorable | *Compliance Rating*: AAA
-🔍 *Latest Developments*: SEC clarity continues, global adoption accelerating
-
-📋 *Regulatory Highlights*
-- BlackRock ETF holdings increased 8.4% this week
-- European MiCA regulations provide clear operational framework
-- Asian markets showing increased institutional adoption
-- US Treasury confirms Bitcoin's role in diversified portfolios
-
-🔐 *BitVault Compliance*
-Fully licensed | AML/KYC protocols active | Regular third-party audits | Transparent fee structure | Client fund segregation
-
-🌍 *Global Expansion*
-Licensed in 47 jurisdictions | $2.4B assets under management | 34,000+ active clients | 24/7 multilingual support
-
-*Regulatory Excellence in Digital Assets* 🏆`,
-
-            // Technology & Infrastructure (7)
-            `💻 *BitVault Pro Technology Report*
-
-⚡ *Real-Time BTC Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-🖥️ *System Performance*: 99.97% uptime | <2ms latency
-🔧 *Infrastructure*: Multi-cloud architecture across 3 continents
-
-🚀 *Technology Stack*
-Advanced order management | Real-time portfolio analytics | Machine learning price prediction | Automated rebalancing | API connectivity to 15+ exchanges
-
-🛡️ *Security Infrastructure*
-End-to-end encryption | Hardware security modules | Multi-factor authentication | Biometric access controls | Regular penetration testing
-
-📊 *Data Analytics*
-Processing 2.4M data points per second | Sentiment analysis integration | On-chain analytics | Market microstructure modeling | Predictive risk models
-
-*Next-Generation Trading Technology* 🔮`,
-
-            // Weekend Market Review (8)
-            `📅 *Weekend Market Review*
-
-📈 *Bitcoin Close*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *Weekly Performance*: +12.7% | *Monthly*: +23.4%
-🌍 *Global Market Cap*: ${marketCapFormatted}
-
-🔍 *Week in Review*
-Strong institutional accumulation patterns observed. On-chain metrics showing decreased exchange reserves (-2.1%) indicating long-term holding behavior. Network hash rate reached new all-time high.
-
-📈 *Technical Summary*
-Support established at $89,000 | Resistance levels: $105,000 and $112,000 | Volume profile indicating healthy price discovery | Futures curve in slight contango
-
-⏭️ *Week Ahead*
-Federal Reserve meeting Wednesday | Q3 earnings from major crypto companies | Bitcoin options expiry Friday: $1.2B notional | Institutional rebalancing expected
-
-*Professional Weekend Analysis* 🎯`,
-
-            // Quarterly Outlook (9)
-            `🔮 *BitVault Pro Quarterly Outlook*
-
-💰 *Current Bitcoin*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *Q4 Target Range*: $95,000 - $125,000
-🎯 *12-Month Projection*: $150,000 - $200,000
-
-📈 *Fundamental Drivers*
-- Corporate treasury adoption accelerating (47 S&P 500 companies researching)
-- ETF inflows averaging $1.8B weekly
-- Mining economics favorable with recent efficiency improvements
-- Geopolitical tensions driving safe-haven demand
-
-💼 *Portfolio Strategy*
-BitVault Pro maintaining 65% BTC core position with tactical allocations in Ethereum (20%) and emerging DeFi protocols (15%). Systematic rebalancing every 14 days.
-
-🏛️ *Macro Environment*
-Dollar weakness supporting digital assets | Central bank policy accommodative | Inflation hedging demand growing | Institutional adoption curve steepening
-
-*Strategic Long-Term Vision* 🚀`,
-
-            // Performance Analytics (10)
-            `📊 *BitVault Pro Performance Analytics*
-
-🎯 *Bitcoin Position*: ${priceFormatted} ${changeIcon} ${changeText}%
-📈 *YTD Client Returns*: +234.7% (vs Bitcoin +187%)
-🏆 *Risk-Adjusted Performance*: Sharpe 2.81 | Sortino 3.42
-
-📋 *Detailed Metrics*
-Maximum Drawdown: -6.3% (vs Bitcoin -15.2%) | Win Rate: 73.4% | Average Hold Period: 8.7 days | Transaction Costs: 0.12% | Alpha Generation: +47.3%
-
-🎨 *Strategy Breakdown*
-Systematic Momentum: 40% allocation | Mean Reversion: 25% | Arbitrage: 20% | Market Making: 10% | Emergency Cash: 5%
-
-💎 *Client Satisfaction*
-97.8% client retention rate | Average account growth: +156% | Support response time: <2 minutes | Platform uptime: 99.97%
-
-*Measurable Excellence in Digital Assets* 📐`,
-
-            // Innovation & Development (11)
-            `🔬 *BitVault Pro Innovation Lab*
-
-⚡ *Live Bitcoin Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-🧪 *R&D Investment*: $12.4M this quarter
-🚀 *New Features*: Advanced portfolio analytics, DeFi integration
-
-🔮 *Coming Soon*
-- AI-powered market sentiment analysis
-- Cross-chain yield optimization 
-- Institutional-grade options strategies
-- Real-time tax optimization tools
-- Mobile app with biometric security
-
-🌐 *Blockchain Integration*
-Lightning Network implementation complete | Ethereum Layer-2 scaling solutions | Solana ecosystem exposure | Polygon DeFi strategies | Avalanche subnet deployment
-
-📱 *User Experience*
-Next-gen mobile interface | Real-time push notifications | Customizable dashboard | Advanced charting tools | Social trading features
-
-*Innovation Driving Performance* 🌟`,
-
-            // Global Economic Context (12)
-            `🌍 *Global Economic Context*
-
-🪙 *Bitcoin Price*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *Global Market Cap*: ${marketCapFormatted} | *Dominance*: 42.1%
-🏦 *Traditional Markets*: S&P +1.2% | Gold $1,987 | DXY 103.4
-
-🌐 *Macroeconomic Factors*
-Federal Reserve pause cycle supporting risk assets | European Central Bank dovish tilt | Japanese Yen weakness benefiting digital assets | Chinese economic stimulus measures positive for crypto
-
-💱 *Currency Dynamics*
-USD strength moderating | EUR/USD stabilizing | Emerging market currencies gaining | Bitcoin proving its uncorrelated asset thesis
-
-🏛️ *Institutional Flows*
-Pension funds increasing digital asset allocations | Insurance companies exploring Bitcoin treasury positions | Sovereign wealth funds conducting due diligence
-
-*Global Macro-Driven Strategy* 🗺️`,
-
-            // Client Success Stories (13)
-            `🏆 *BitVault Pro Client Success*
-
-💼 *Bitcoin Performance*: ${priceFormatted} ${changeIcon} ${changeText}%
-🎉 *Client Milestone*: $50M+ in realized profits this month
-📈 *Average Account Growth*: +178% YTD
-
-👥 *Success Highlights*
-- Corporate client achieved 45% portfolio allocation target
-- Pension fund completed $25M strategic Bitcoin position  
-- Family office diversified 12% of assets into digital currencies
-- HNWI client successfully hedged currency exposure via Bitcoin
-
-📊 *Portfolio Outcomes*
-Reduced overall portfolio volatility by 23% | Enhanced long-term returns by 67% | Improved risk-adjusted performance across all client segments
-
-🎯 *Strategic Value*
-BitVault Pro's institutional approach delivering consistent alpha generation while maintaining strict risk management protocols.
-
-*Client Success is Our Success* ⭐`,
-
-            // Market Structure Analysis (14)
-            `🏗️ *Market Structure Analysis*
-
-📊 *Bitcoin Infrastructure*: ${priceFormatted} ${changeIcon} ${changeText}%
-⚙️ *Network Health*: Hash rate ATH | Difficulty +3.7%
-🔄 *Exchange Flows*: Net outflows -12,847 BTC (bullish)
-
-🏛️ *Institutional Infrastructure*
-Custody solutions maturing rapidly | Prime brokerage services expanding | OTC trading volumes increasing | Derivatives markets deepening
-
-📈 *Liquidity Analysis*
-Spot exchanges: $28.4B daily volume | Futures: $45.2B | Options: $3.1B | Order book depth at 98th percentile | Bid-ask spreads tightening
-
-⚡ *Network Development*
-Lightning Network capacity: 5,247 BTC | Payment channels: 67,432 | Routing efficiency: 97.3% | Transaction throughput improving
-
-*Market Infrastructure Excellence* 🏛️`,
-
-            // Risk Assessment Update (15)
-            `⚖️ *Risk Assessment Update*
-
-🛡️ *Bitcoin Exposure*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *Portfolio VaR*: 2.1% (95% confidence) | *Expected Shortfall*: 3.4%
-🎯 *Risk Budget Utilization*: 67% (optimal range)
-
-📈 *Scenario Analysis*
-Bull Case (+40%): 85% probability | Base Case (+15%): 92% probability | Bear Case (-20%): 15% probability | Stress scenarios modeled and hedged
-
-🔍 *Risk Factors*
-Regulatory changes: Low impact | Technology disruption: Medium opportunity | Market manipulation: Well-hedged | Liquidity events: Adequately prepared
-
-💎 *Mitigation Strategies*
-Dynamic position sizing | Correlation monitoring | Stress testing protocols | Emergency liquidation procedures | Insurance coverage active
-
-*Sophisticated Risk Management* 🎯`,
-
-            // Future Outlook (16)
-            `🔮 *BitVault Pro Future Outlook*
-
-🚀 *Bitcoin Trajectory*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *5-Year Target*: $500,000 - $1,000,000 per Bitcoin
-🌍 *Adoption Curve*: Early majority phase (18% penetration)
+    /**
+     * Queue parts for a poll and the disclaimer footer replying to it
+     */
+    toPollParts(poll, chatId, destination, parseMode) {
+        return [
+            {
+                type: 'poll',
+                content: poll.question,
+                send: () => queue.enqueue('poll', chatId, {
+                    question: poll.question,
+                    pollOptions: poll.options,
+                    options: media.toPollOptions(poll)
+                })
+            },
+            {
+                type: 'text',
+                content: '',
+                send: ([{ message }]) => this.sendMessageWithRetry(chatId, compliance.apply('', destination, 'text', parseMode), {
+                    ...formatting.toTelegramOptions(parseMode),
+                    reply_to_message_id: message.message_id
+                })
+            }
+        ];
+    }
 
-🏛️ *Institutional Timeline*
-2024: Corporate adoption accelerates | 2025: Sovereign wealth funds enter | 2026: Central bank diversification begins | 2027: Mainstream pension allocation
+    /**
+     * Broadcast update message to the selected destinations.
+     * options.buttons (a saved layout ID or rows of URL buttons) adds an inline keyboard to the last part.
+     */
+    async broadcastUpdate(message, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Bot not initialized. Call initialize() first.');
+        }
 
-💡 *Technology Evolution*
-Quantum-resistant cryptography implementation | Layer-2 scaling solutions mature | Cross-chain interoperability achieved | CBDCs and Bitcoin coexistence
+        if (!message || typeof message !== 'string') {
+            throw new Error('Message must be a non-empty string');
+        }
 
-🎯 *BitVault Vision*
-Becoming the premier institutional digital asset manager | $10B AUM by 2026 | Global regulatory leadership | Technology innovation standard-setter
+        const destinations = this.resolveTargets(options.targets);
 
-*Building the Future of Finance* 🌟`,
+        // Clean and preserve the message formatting
+        const cleanMessage = message.trim();
+        const parseMode = options.parseMode || 'Markdown';
+        
+        // Entities must parse in the chosen mode, then the phrase policy and claims checks run (all throw when publishing is blocked)
+        formatting.enforce(cleanMessage, parseMode);
+        const checkedText = formatting.toCheckedText(cleanMessage, parseMode);
+        const lintReport = policy.enforce(checkedText);
+        const claimsReport = claims.enforce(checkedText, { liveValues: options.liveValues });
+        const replyMarkup = keyboards.toReplyMarkup(keyboards.resolve(options.buttons));
+        
+        // Long messages are split into parts sent in order; the last part carries the destination's disclaimer footer and the buttons
+        const outgoing = Object.fromEntries(destinations.map(({ name }) => [name, this.splitWithFooter(cleanMessage, name, parseMode)]));
+        const partCount = Math.max(...Object.values(outgoing).map(parts => parts.length));
+        
+        logger.info(`Broadcasting update message (${cleanMessage.length} characters, ${parseMode}${partCount > 1 ? `, ${partCount} parts` : ''}) to ${destinations.map(d => d.name).join(', ')}...`);
+        logger.debug('Full message content:', cleanMessage);
+        
+        const results = await this.deliverToDestinations(destinations, (chatId, name) => this.sendInOrder(this.withButtons(outgoing[name].map(part => ({
+            type: 'text',
+            content: part.body,
+            footer: part.footer,
+            send: (delivered, extra) => this.sendMessageWithRetry(chatId, part.text, { ...formatting.toTelegramOptions(parseMode), ...extra })
+        })), replyMarkup)), {
+            type: 'text',
+            content: cleanMessage,
+            parseMode,
+            liveValues: options.liveValues
+        });
+        
+        try {
+            const result = this.summarizeDelivery(results, 'Failed to broadcast message');
+            logger.info(`Broadcast successful (${result.delivered}/${destinations.length} destinations)`);
+            return {
+                ...result,
+                lint: lintReport,
+                claims: claimsReport
+            };
+        } catch (error) {
+            logger.error('Broadcast failed:', error.message);
+            throw error;
+        }
+    }
 
-            // Professional Daily Close (17)
-            `📈 *Daily Market Close*
+    /**
+     * Edit the text (or caption, for photos and other media) of a published message.
+     * Claims are checked against options.liveValues, or the live values the message was published with.
+     */
+    async editPublishedMessage(id, content, editedBy, options = {}) {
+        const entry = publishedMessages.get(id);
+        
+        if (!entry) {
+            return null;
+        }
+        
+        if (entry.deletedAt) {
+            throw new Error(`Published message ${id} was deleted`);
+        }
+        
+        if (entry.type === 'poll') {
+            throw new Error('Polls cannot be edited');
+        }
+        
+        if (!content || typeof content !== 'string') {
+            throw new Error('Content must be a non-empty string');
+        }
+        
+        // Edits keep the parse mode the message was published with
+        const parseMode = entry.parseMode || 'Markdown';
+        formatting.enforce(content.trim(), parseMode);
+        policy.enforce(formatting.toCheckedText(content.trim(), parseMode));
+        if (options.liveValues !== undefined && (!Array.isArray(options.liveValues) || options.liveValues.some(value => typeof value !== 'string'))) {
+            throw new Error('liveValues must be an array of strings');
+        }
+        const liveValues = options.liveValues || entry.liveValues || undefined;
+        claims.enforce(formatting.toCheckedText(content.trim(), parseMode), { liveValues });
+        
+        // The edited post keeps its destination's disclaimer footer; earlier parts of a split message have none
+        const hasCaption = CAPTION_TYPES.includes(entry.type);
+        const outgoing = entry.footer === false
+            ? this.checkPartLength(content.trim(), entry.destination)
+            : compliance.apply(content, entry.destination, hasCaption ? 'caption' : 'text', parseMode);
+        // Telegram drops an inline keyboard that is not sent with the edit
+        const target = {
+            chat_id: entry.chatId,
+            message_id: entry.messageId,
+            ...formatting.toTelegramOptions(parseMode),
+            ...(entry.replyMarkup && { reply_markup: entry.replyMarkup })
+        };
+        
+        try {
+            if (hasCaption) {
+                await this.bot.editMessageCaption(outgoing, target);
+            } else {
+                await this.bot.editMessageText(outgoing, { ...target, disable_web_page_preview: true });
+            }
+        } catch (error) {
+            throw new Error(`Failed to edit message: ${this.describeTelegramError(error)}`);
+        }
+        
+        return publishedMessages.recordEdit(id, content.trim(), editedBy, options.liveValues);
+    }
 
-🏁 *Bitcoin Settlement*: ${priceFormatted} ${changeIcon} ${changeText}%
-📊 *Trading Session Summary*: Volume $31.2B | Volatility 2.8%
-⏰ *Market Hours Complete*: All major exchanges synchronized
+    /**
+     * Edited text of a part without a footer, refused when it no longer fits in one message
+     */
+    checkPartLength(text, destination) {
+        if (text.length > compliance.limits.text) {
+            throw compliance.refuse(`Content for '${destination}' is ${text.length} characters; the text limit is ${compliance.limits.text}`, {
+                destination,
+                kind: 'text',
+                length: text.length,
+                limit: compliance.limits.text
+            });
+        }
+        
+        return text;
+    }
 
-🎯 *Session Highlights*
-Strong institutional buying pressure observed in European session | Retail sentiment improved to 68/100 | Options flow bullish with 3:1 call/put ratio
+    /**
+     * Delete a published message from its destination
+     */
+    async deletePublishedMessage(id, deletedBy) {
+        const entry = publishedMessages.get(id);
+        
+        if (!entry) {
+            return null;
+        }
+        
+        if (entry.deletedAt) {
+            throw new Error(`Published message ${id} was already deleted`);
+        }
+        
+        try {
+            await this.bot.deleteMessage(entry.chatId, entry.messageId);
+        } catch (error) {
+            throw new Error(`Failed to delete message: ${this.describeTelegramError(error)}`);
+        }
+        
+        return publishedMessages.recordDeletion(id, deletedBy);
+    }
 
-💼 *BitVault Performance*
-Client accounts outperformed benchmarks by +2.3% today | Risk management protocols functioned optimally | All systems operational at 100% capacity
+    /**
+     * Create a draft and post its preview with review buttons to the review chat
+     */
+    async submitDraft({ message, imagePath = null, media: mediaSpec = null, buttons = null, targets = null, liveValues = [], parseMode = 'Markdown', createdBy }) {
+        if (!this.isInitialized) {
+            throw new Error('Bot not initialized. Call initialize() first.');
+        }
+        
+        // Validate destinations and buttons before anything is stored
+        this.resolveTargets(targets);
+        const buttonRows = keyboards.resolve(buttons) || [];
+        
+        const draft = drafts.create({ message: message ? message.trim() : '', imagePath, media: mediaSpec, buttons, targets, liveValues, parseMode, createdBy });
+        
+        // The review header is written in legacy Markdown and converted to the draft's parse mode
+        const header = formatting.fromMarkdown(`📝 *Draft for review* \`${draft.id}\`\nCreated by: \`${createdBy}\`\nTargets: \`${(targets || config.defaultTargets).join(', ')}\`\n\n`, parseMode);
+        // Media drafts are previewed as a description of the media followed by their caption
+        const body = draft.media
+            ? [formatting.escape(media.describe(draft.media), parseMode), draft.media.caption].filter(Boolean).join('\n\n')
+            : draft.message;
+        // The draft's own buttons are previewed above the review buttons
+        const replyMarkup = {
+            inline_keyboard: [...keyboards.toReplyMarkup(buttonRows).inline_keyboard, [
+                { text: '✅ Approve', callback_data: `draft:approve:${draft.id}` },
+                { text: '❌ Reject', callback_data: `draft:reject:${draft.id}` }
+            ]]
+        };
+        
+        try {
+            const { message: preview } = draft.imagePath
+                ? await queue.enqueue('photo', config.reviewChatId, {
+                    photo: draft.imagePath,
+                    options: { caption: header + body, ...formatting.toTelegramOptions(parseMode), reply_markup: replyMarkup }
+                })
+                : await this.sendMessageWithRetry(config.reviewChatId, header + body, { ...formatting.toTelegramOptions(parseMode), reply_markup: replyMarkup });
+            
+            return drafts.save(draft.id, {
+                reviewMessage: { chatId: config.reviewChatId, messageId: preview.message_id }
+            });
+        } catch (error) {
+            // The draft stays pending and can still be reviewed through the API
+            logger.error(`Failed to post preview for draft ${draft.id}:`, error.message);
+            return draft;
+        }
+    }
 
-🌙 *After Hours*
-Asian markets opening with positive sentiment | Futures trading showing continued strength | BitVault systems monitoring 24/7 for optimal positioning
+    /**
+     * Approve or reject a draft; approved drafts are published immediately
+     */
+    async reviewDraft(id, decision, reviewer, options = {}) {
+        const reviewed = drafts.review(id, decision, reviewer, options);
+        
+        if (!reviewed) {
+            return null;
+        }
+        
+        let result = reviewed;
+        if (reviewed.status === 'approved') {
+            result = await this.publishDraft(reviewed);
+        }
+        
+        await this.notifyReviewOutcome(result);
+        return result;
+    }
 
-*Professional Market Close Analysis* 🎌`,
+    /**
+     * Publish an approved draft - the only path from a draft to broadcastUpdate or sendMedia
+     */
+    async publishDraft(draft) {
+        if (draft.status !== 'approved') {
+            throw new Error(`Draft ${draft.id} is ${draft.status}, only approved drafts can be published`);
+        }
+        
+        try {
+            const publishOptions = { targets: draft.targets, liveValues: draft.liveValues, parseMode: draft.parseMode, buttons: draft.buttons };
+            let publishResult;
+            if (draft.media) {
+                publishResult = await this.sendMedia(draft.media, publishOptions);
+            } else if (draft.imagePath) {
+                publishResult = await this.sendImageWithCaption(draft.imagePath, draft.message, publishOptions);
+            } else {
+                publishResult = await this.broadcastUpdate(draft.message, publishOptions);
+            }
+            
+            return drafts.save(draft.id, {
+                status: 'published',
+                publishedAt: new Date().toISOString(),
+                publishResult
+            });
+        } catch (error) {
+            logger.error(`Failed to publish draft ${draft.id}:`, error.message);
+            return drafts.save(draft.id, {
+                status: 'failed',
+                publishError: error.message,
+                publishResult: error.results || error.lint || error.claims || error.formatting || error.compliance || null
+            });
+        }
+    }
 
-            // Innovation Leadership (18)
-            `⚡ *Innovation Leadership*
+    /**
+     * Remove the review buttons and report the outcome in the review chat
+     */
+    async notifyReviewOutcome(draft) {
+        if (!draft.reviewMessage) {
+            return;
+        }
+        
+        const { chatId, messageId } = draft.reviewMessage;
+        const outcome = {
+            published: `✅ Draft ${draft.id} approved by ${draft.reviewedBy} and published`,
+            failed: `⚠️ Draft ${draft.id} approved by ${draft.reviewedBy} but publishing failed: ${draft.publishError}`,
+            rejected: `❌ Draft ${draft.id} rejected by ${draft.reviewedBy}${draft.rejectionReason ? `: ${draft.rejectionReason}` : ''}`
+        }[draft.status];
+        
+        try {
+            await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+            await this.bot.sendMessage(chatId, outcome, { reply_to_message_id: messageId });
+        } catch (error) {
+            logger.warn(`Failed to report review outcome for draft ${draft.id}:`, error.message);
+        }
+    }
 
-🔬 *Bitcoin Innovation*: ${priceFormatted} ${changeIcon} ${changeText}%
-🚀 *BitVault R&D*: $18.7M invested in cutting-edge technology
-🧠 *AI Integration*: Machine learning models active across all strategies
+    /**
+     * Send professional daily market summary with varied content
+     */
+    async sendDailyMarketSummary(options = {}) {
+        try {
+            // Get real-time Bitcoin market data (null when too few sources agree)
+            const marketData = await this.getBitcoinPrice();
+            const dataSource = marketData ? marketData.source : null;
+            
+            if (!marketData && config.marketDataFallback !== 'no-numbers') {
+                logger.warn('Skipping daily market summary: market data unavailable');
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'Market data unavailable from all sources',
+                    dataSource,
+                    timestamp: new Date().toISOString()
+                };
+            }
+            
+            // Generate varied professional content
+            const now = new Date();
+            const quotes = marketData ? await this.getMarketQuotes() : [];
+            const { variant } = this.selectDailyVariant(now);
+            const summary = this.generateDailyMessage(marketData, now, quotes, variant);
+            
+            const sendOptions = {
+                targets: options.targets || config.dailySummaryTargets,
+                liveValues: this.getLiveValues(this.buildTemplateVariables(marketData, now, quotes))
+            };
+            const withChart = options.chart !== undefined ? Boolean(options.chart) : config.dailyChart;
+            
+            logger.info(`Sending daily professional market summary (data source: ${dataSource || 'none'}${withChart ? ', with chart' : ''})...`);
+            const result = withChart
+                ? await this.sendSummaryWithChart(summary, sendOptions)
+                : await this.broadcastUpdate(summary, sendOptions);
+            rotation.record(now, variant.id);
+            return {
+                ...result,
+                variant: variant.id,
+                dataSource
+            };
+        } catch (error) {
+            logger.error('Failed to send daily market summary:', error.message);
+            throw error;
+        }
+    }
 
-🔮 *Breakthrough Technologies*
-Quantum-resistant security implementation | Real-time sentiment analysis | Advanced portfolio optimization | Predictive market modeling | Cross-chain arbitrage
+    /**
+     * Send the summary with a price chart; the summary is the caption, or follows the chart as a message
+     * when it is too long for one. Falls back to a plain message when there is no chart to draw, and
+     * for each destination the chart could not be delivered to.
+     */
+    async sendSummaryWithChart(summary, options) {
+        const chartPath = this.renderDailyChart();
+        if (!chartPath) {
+            return this.broadcastUpdate(summary, options);
+        }
+        
+        let result;
+        try {
+            result = await this.sendImageWithCaption(chartPath, summary, options);
+        } catch (error) {
+            if (!error.results) {
+                fs.rmSync(chartPath, { force: true });
+                throw error;
+            }
+            result = { results: error.results };
+        }
+        
+        const chartInfo = result.messageId ? { chart: { caption: !result.captionMoved, messageId: result.messageId } } : {};
+        const failed = Object.keys(result.results).filter(name => !result.results[name].success);
+        if (failed.length === 0) {
+            return { ...result, ...chartInfo };
+        }
+        
+        // Destinations that received the chart keep it; only the others get the summary as a message
+        logger.warn(`Daily chart could not be delivered to ${failed.join(', ')}, sending the summary there as a message`);
+        let fallbackResults;
+        try {
+            ({ results: fallbackResults } = await this.broadcastUpdate(summary, { ...options, targets: failed }));
+        } catch (error) {
+            if (!error.results) {
+                throw error;
+            }
+            fallbackResults = error.results;
+        }
+        
+        return {
+            ...result,
+            ...this.summarizeDelivery({ ...result.results, ...fallbackResults }, 'Failed to send daily summary'),
+            ...chartInfo,
+            textFallback: failed
+        };
+    }
 
-📊 *Performance Enhancement*
-AI-driven strategies generating +23% additional alpha | Risk models 40% more accurate | Transaction costs reduced by 67% | Client experience ratings at all-time high
+    /**
+     * Render the primary pair's downsampled price history (outliers excluded) to a PNG file; null without enough history
+     */
+    renderDailyChart() {
+        const since = Date.now() - config.dailyChartDays * 24 * 60 * 60 * 1000;
+        const series = marketDataService.getSeries(since);
+        
+        if (series.length < 2) {
+            logger.warn(`Not enough market history for a daily chart (${series.length} point(s) in the last ${config.dailyChartDays} days)`);
+            return null;
+        }
+        
+        try {
+            return chart.renderToFile(series);
+        } catch (error) {
+            logger.error('Failed to render daily chart:', error.message);
+            return null;
+        }
+    }
 
-🌟 *Industry Recognition*
-"Best Digital Asset Manager 2024" | "Innovation Award" | "Technology Excellence" | "Client Satisfaction Leader"
+    /**
+     * Show what the daily summary would post on a date (YYYY-MM-DD at the scheduled time, or an ISO timestamp).
+     * Nothing is sent or recorded.
+     */
+    async previewDailySummary(date = new Date()) {
+        const selection = this.selectDailyVariant(date);
+        const now = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? this.getScheduledPostTime(selection.date) : new Date(date);
+        
+        // A preview must not add to the market history or the quote cache
+        const marketData = await this.getBitcoinPrice({ record: false });
+        const available = marketData || config.marketDataFallback === 'no-numbers';
+        const quotes = marketData ? await this.getMarketQuotes({ record: false }) : [];
+        
+        return {
+            date: selection.date,
+            scheduledFor: now.toISOString(),
+            variant: { id: selection.variant.id, name: selection.variant.name },
+            rotation: { reason: selection.reason, skipped: selection.skipped, claimsSkipped: selection.claimsSkipped },
+            message: available ? this.generateDailyMessage(marketData, now, quotes, selection.variant) : null,
+            skipReason: available ? null : 'Market data unavailable from all sources',
+            dataSource: marketData ? marketData.source : null
+        };
+    }
 
-*Leading Through Innovation* 🏆`,
+    /**
+     * Daily variant for a date from the rotation service.
+     * In block mode, variants whose own text has unsourced or stale claims would be refused at send time,
+     * so the rotation only picks from variants that pass (listed in claimsSkipped).
+     */
+    selectDailyVariant(date = new Date()) {
+        const variants = templates.list('daily');
+        if (config.claimsMode !== 'block') {
+            return { ...rotation.select(variants, date), claimsSkipped: [] };
+        }
+        
+        // Placeholders are filled from live data, so only the template's own wording is checked
+        const publishable = variants.filter(variant => claims.check(variant.body.replace(/\{\{\s*[A-Za-z0-9_]+\s*\}\}/g, ' ')).passed);
+        if (variants.length > 0 && publishable.length === 0) {
+            throw new Error('No daily template passes the claims check; register the facts they cite or edit the templates');
+        }
+        
+        return {
+            ...rotation.select(publishable, date),
+            claimsSkipped: variants.filter(variant => !publishable.includes(variant)).map(variant => variant.id)
+        };
+    }
 
-            // Strategic Vision (19)
-            `🎯 *Strategic Vision 2025*
+    /**
+     * Time of the daily post on a day (YYYY-MM-DD): DAILY_UPDATE_TIME's minute and hour in the scheduler timezone,
+     * or noon when the cron expression has no single daily time
+     */
+    getScheduledPostTime(day) {
+        const [minute, hour] = config.dailyUpdateTime.trim().split(/\s+/);
+        const [year, month, date] = day.split('-').map(Number);
+        const wallTime = /^\d+$/.test(minute) && /^\d+$/.test(hour)
+            ? Date.UTC(year, month - 1, date, Number(hour), Number(minute))
+            : Date.UTC(year, month - 1, date, 12);
+        
+        // Shift by the timezone's offset at that moment
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: config.timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }).formatToParts(new Date(wallTime)).map(part => [part.type, Number(part.value)]));
+        const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - wallTime;
+        
+        return new Date(wallTime - offset);
+    }
 
-🌟 *Bitcoin Foundation*: ${priceFormatted} ${changeIcon} ${changeText}%
-🏛️ *BitVault Mission*: Democratizing institutional-grade Bitcoin investment
-📈 *Growth Trajectory*: $5B AUM target by year-end
+    /**
+     * Generate professional, mature daily market messages from the stored daily templates
+     * (the variant comes from the rotation service)
+     */
+    generateDailyMessage(marketData, now = new Date(), quotes = [], variant = this.selectDailyVariant(now).variant) {
+        const body = variant.body;
+        const variables = this.buildTemplateVariables(marketData, now, quotes);
+        const available = compliance.getAvailableLength();
+        
+        // The multi-asset table gets whatever room the message limit leaves
+        if (templates.getPlaceholders(body).includes('marketTable')) {
+            const withoutTable = templates.render(body, { ...variables, marketTable: '' }).text;
+            return templates.render(body, { ...variables, marketTable: this.buildMarketTable(quotes, available - withoutTable.length) }).text;
+        }
+        
+        const text = templates.render(body, variables).text;
+        if (quotes.length <= 1) {
+            return text;
+        }
+        
+        const heading = '\n\n📊 *Markets*\n';
+        const table = this.buildMarketTable(quotes, available - text.length - heading.length);
+        return table ? text + heading + table : text;
+    }
 
-🌍 *Global Expansion*
-Licensed in 52 jurisdictions | Offices in 12 countries | 24/7 multilingual support | Regional custody partnerships established
+    /**
+     * Compact monospace table of every asset in every quote currency plus the 24h change,
+     * keeping only the rows that fit into maxLength characters
+     */
+    buildMarketTable(quotes, maxLength = Infinity) {
+        const assets = [...new Set(quotes.map(quote => quote.asset))];
+        const currencies = [...new Set(quotes.map(quote => quote.currency))];
+        
+        const rows = [['', ...currencies, '24h'], ...assets.map((asset) => {
+            const assetQuotes = quotes.filter(quote => quote.asset === asset);
+            return [
+                asset,
+                ...currencies.map((currency) => {
+                    const quote = assetQuotes.find(entry => entry.currency === currency);
+                    return quote ? this.formatPrice(quote.price, currency) : '-';
+                }),
+                this.formatChange(assetQuotes[0].change24h)
+            ];
+        })];
+        
+        const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+        const [header, ...lines] = rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+        
+        const omittedNote = '\n_More assets omitted to fit the message limit_';
+        const table = ['```', header];
+        for (const line of lines) {
+            const remaining = lines.length - (table.length - 1);
+            const length = [...table, line, '```'].join('\n').length + (remaining > 1 ? omittedNote.length : 0);
+            if (length > maxLength) break;
+            table.push(line);
+        }
+        
+        const shown = table.length - 2;
+        if (shown === 0) {
+            return '';
+        }
+        
+        return [...table, '```'].join('\n') + (shown < lines.length ? omittedNote : '');
+    }
 
-💎 *Product Innovation*
-Tokenized Bitcoin strategies | Decentralized finance integration | Institutional staking services | Custom derivative solutions
+    /**
+     * Build template placeholder values from market data and the current time.
+     * Without market data, figures are replaced by a clear label - never invented.
+     */
+    buildTemplateVariables(marketData, now = new Date(), quotes = []) {
+        // Time and day awareness
+        const hour = now.getUTCHours();
+        const day = now.getUTCDay(); // 0 = Sunday, 6 = Saturday
+        const isWeekend = day === 0 || day === 6;
+        const isMorning = hour >= 6 && hour < 12;
+        const isAfternoon = hour >= 12 && hour < 18;
+        const isEvening = hour >= 18 && hour <= 23;
+        
+        // Time-specific greetings and comfort elements
+        let timeGreeting = '';
+        let timeComfort = '';
+        let timeMotivation = '';
+        
+        if (isMorning) {
+            timeGreeting = isWeekend ? '🌅 *Weekend Morning Blessings!*' : '🌅 *Good Morning, Champions!*';
+            timeComfort = 'Start your day with confidence knowing BitVault Pro is already working for you.';
+            timeMotivation = 'Fresh opportunities await those who take action early!';
+        } else if (isAfternoon) {
+            timeGreeting = isWeekend ? '☀️ *Peaceful Weekend Afternoon!*' : '☀️ *Midday Success Check!*';
+            timeComfort = 'While you enjoy your day, your investments are growing steadily.';
+            timeMotivation = 'The afternoon sun shines brightest on profitable decisions!';
+        } else if (isEvening) {
+            timeGreeting = isWeekend ? '🌆 *Relaxing Weekend Evening!*' : '🌆 *Evening Prosperity Update!*';
+            timeComfort = 'End your day knowing your financial future is secure and growing.';
+            timeMotivation = 'Smart evening decisions create tomorrow\'s wealth!';
+        } else {
+            timeGreeting = isWeekend ? '🌙 *Peaceful Weekend Night!*' : '🌙 *Late Night Opportunity!*';
+            timeComfort = 'Rest easy - your money never sleeps and neither does our dedication to your success.';
+            timeMotivation = 'Night owls catch the best investment opportunities!';
+        }
+        
+        const changeUp = marketData && parseFloat(marketData.change24h) >= 0;
+        
+        return {
+            price: marketData ? this.formatPrice(marketData.price, marketData.currency) : 'Unavailable',
+            change24h: marketData ? `${changeUp ? '+' : ''}${marketData.change24h}%` : 'Unavailable',
+            change7d: this.formatChange(marketData && marketData.change7d),
+            change30d: this.formatChange(marketData && marketData.change30d),
+            changeIcon: marketData ? (changeUp ? '📈' : '📉') : '',
+            priceLine: marketData ? this.formatPriceLine(marketData) : '⚠️ _Market data unavailable_',
+            marketCap: marketData && marketData.marketCap ? this.formatMarketCap(marketData.marketCap, marketData.currency) : 'Unavailable',
+            marketTable: quotes.length > 0 ? this.buildMarketTable(quotes) : '⚠️ _Market data unavailable_',
+            dataSource: marketData ? marketData.source : 'none',
+            date: now.toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' }),
+            time: now.toLocaleTimeString('en-US', { timeZone: 'UTC', hour12: false, hour: '2-digit', minute: '2-digit' }),
+            updatedAt: now.toLocaleString('en-US', { timeZone: 'UTC', hour12: false }),
+            marketSession: hour < 12 ? 'Asian' : hour < 18 ? 'European' : 'American',
+            timeGreeting,
+            timeComfort,
+            timeMotivation
+        };
+    }
 
-🤝 *Partnership Ecosystem*
-Major exchanges | Prime brokers | Custody providers | Technology partners | Regulatory advisors | Academic institutions
+    /**
+     * Render a stored template, fetching market data only when the template uses it
+     */
+    async renderTemplate(templateId, variables = {}, parseMode = 'Markdown') {
+        const template = templates.get(templateId);
+        
+        if (!template) {
+            throw new Error(`Template '${templateId}' not found`);
+        }
+        
+        const placeholders = templates.getPlaceholders(template.body);
+        const needsMarketData = placeholders.some(name => MARKET_PLACEHOLDERS.includes(name));
+        const marketData = needsMarketData ? await this.getBitcoinPrice() : null;
+        const quotes = placeholders.includes('marketTable') ? await this.getMarketQuotes() : [];
+        
+        const templateVariables = this.buildTemplateVariables(marketData, new Date(), quotes);
+        
+        // Caller-supplied values go in as tokens and are escaped for the target parse mode once the
+        // legacy Markdown template has been converted, so they always show literally
+        const values = [];
+        const tokens = Object.fromEntries(Object.entries(variables || {})
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => [name, `\u0000${values.push(value) - 1}\u0000`]));
+        const { text, missing } = templates.render(template.body, {
+            ...templateVariables,
+            ...tokens
+        });
+        const converted = formatting.fromMarkdown(text, parseMode)
+            .replace(/\u0000(\d+)\u0000/g, (token, index) => formatting.escape(values[index], parseMode));
+        
+        // Live values as the reader sees them in other parse modes, for the claims check
+        const liveValues = this.getLiveValues(templateVariables);
+        return {
+            templateId,
+            text: converted,
+            missing,
+            parseMode,
+            liveValues: parseMode === 'Markdown' ? liveValues : liveValues.map(value => formatting.toPlain(value, 'Markdown')),
+            buttons: template.buttons || null,
+            dataSource: marketData ? marketData.source : null
+        };
+    }
 
-*Vision Becoming Reality* 🚀`,
+    /**
+     * Values that came from live providers, used by the claims check to tell sourced figures apart
+     */
+    getLiveValues(variables) {
+        // Multi-line values (the market table) are matched line by line
+        return LIVE_PLACEHOLDERS.map(name => variables[name])
+            .filter(value => value && value !== 'Unavailable')
+            .flatMap(value => value.split('\n').map(line => line.trim()).filter(Boolean));
+    }
 
-            // Comprehensive Update (20)
-            `📊 *BitVault Pro Comprehensive Update*
+    /**
+     * Format a price in its quote currency and locale, e.g. "$97,500", "89.250 €" or "£2,450.75"
+     */
+    formatPrice(price, currency = config.quoteCurrencies[0]) {
+        const digits = price >= 1000 ? 0 : 2;
+        
+        return price.toLocaleString(config.currencyLocales[currency] || config.marketLocale, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        });
+    }
 
-💰 *Bitcoin Performance*: ${priceFormatted} ${changeIcon} ${changeText}%
-🏆 *Client Success*: 97.8% satisfaction rate | $89M+ profits generated
-🛡️ *Security Status*: Zero incidents | 100% fund safety record
+    /**
+     * Format a market cap given in billions, e.g. "$1.9T" or "1.750 Mrd. €"
+     */
+    formatMarketCap(marketCapBillions, currency = config.quoteCurrencies[0]) {
+        return (marketCapBillions * 1e9).toLocaleString(config.currencyLocales[currency] || config.marketLocale, {
+            style: 'currency',
+            currency,
+            notation: 'compact',
+            maximumSignificantDigits: 4
+        });
+    }
 
-📈 *Key Achievements*
-- Outperformed Bitcoin by +47% through active management
-- Reduced portfolio volatility by 34% vs. buy-and-hold
-- Achieved 2.81 Sharpe ratio (industry-leading)
-- Maintained 99.97% system uptime
+    /**
+     * Format a computed percentage change, e.g. "+4.10%" ("Unavailable" without enough history)
+     */
+    formatChange(change) {
+        if (change === null || change === undefined) {
+            return 'Unavailable';
+        }
 
-🌟 *Recognition*
-"Best Digital Asset Platform" - Financial Technology Awards | "Excellence in Client Service" - Investment Management Review | "Innovation Leader" - Blockchain Finance Summit
+        return `${parseFloat(change) >= 0 ? '+' : ''}${change}%`;
+    }
 
-🎯 *Continuing Excellence*
-Commitment to institutional-grade service | Continuous technology advancement | Transparent performance reporting | Client-first philosophy
+    /**
+     * Format price with 24h change, e.g. "$97,500 📈 +1.25%"
+     */
+    formatPriceLine({ price, change24h, currency }) {
+        const changeIcon = parseFloat(change24h) >= 0 ? '📈' : '📉';
+        const changeText = parseFloat(change24h) >= 0 ? '+' + change24h : change24h;
 
-*Excellence as Standard* 💎`
-        ];
-        
-        return professionalMessages[messageId] || professionalMessages[0];
+        return `${this.formatPrice(price, currency)} ${changeIcon} ${changeText}%`;
     }
 
     /**
-     * Get real-time Bitcoin price and market data
+     * Get real-time market data for the primary pair (BTC/USD by default) agreed by the configured sources
+     * Returns null when too few sources agree - figures are never invented
      */
-    async getBitcoinPrice() {
-        const axios = require('axios');
-        
-        // Try multiple APIs for reliability
-        const apis = [
-            {
-                name: 'CoinGecko',
-                url: 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_24hr_change=true&include_market_cap=true',
-                parser: (data) => ({
-                    price: Math.round(data.bitcoin.usd),
-                    change24h: data.bitcoin.usd_24h_change ? data.bitcoin.usd_24h_change.toFixed(2) : '0.00',
-                    marketCap: data.bitcoin.usd_market_cap ? Math.round(data.bitcoin.usd_market_cap / 1e9) : 1900
-                })
-            },
-            {
-                name: 'Binance',
-                url: 'https://api.binance.com/api/v3/ticker/24hr?symbol=BTCUSDT',
-                parser: (data) => ({
-                    price: Math.round(parseFloat(data.lastPrice)),
-                    change24h: parseFloat(data.priceChangePercent).toFixed(2),
-                    marketCap: Math.round(parseFloat(data.lastPrice) * 19.7 / 1e9) // Current supply ~19.7M BTC
-                })
-            },
-            {
-                name: 'CoinCapAPI',
-                url: 'https://api.coincap.io/v2/assets/bitcoin',
-                parser: (data) => ({
-                    price: Math.round(parseFloat(data.data.priceUsd)),
-                    change24h: parseFloat(data.data.changePercent24Hr).toFixed(2),
-                    marketCap: Math.round(parseFloat(data.data.marketCapUsd) / 1e9)
-                })
-            }
-        ];
+    async getBitcoinPrice(options = {}) {
+        return marketDataService.getConsensusQuote(undefined, options);
+    }
 
-        for (const api of apis) {
-            try {
-                logger.info(`Fetching Bitcoin price from ${api.name}...`);
-                
-                const response = await axios.get(api.url, {
-                    timeout: 8000,
-                    headers: {
-                        'User-Agent': 'BitVault-Bot/1.0',
-                        'Accept': 'application/json'
-                    }
-                });
-                
-                const result = api.parser(response.data);
-                
-                // Validate the result
-                if (!result.price || result.price < 10000 || result.price > 200000) {
-                    throw new Error(`Invalid price received: $${result.price}`);
-                }
-                
-                logger.info(`Bitcoin price fetched successfully from ${api.name}: $${result.price.toLocaleString()} (${result.change24h >= 0 ? '+' : ''}${result.change24h}%)`);
-                return result;
-                
-            } catch (error) {
-                logger.warn(`Failed to fetch from ${api.name}:`, error.message);
-                continue;
-            }
-        }
-        
-        // If all APIs fail, log error and use current realistic fallback
-        logger.error('All Bitcoin price APIs failed, using realistic fallback data');
-        
-        // More realistic current Bitcoin price range (around current market price)
-        const basePrice = 97500 + (Math.random() - 0.5) * 5000; // Around current BTC price
-        return {
-            price: Math.round(basePrice),
-            change24h: ((Math.random() - 0.5) * 6).toFixed(2), // Realistic daily change
-            marketCap: Math.round(basePrice * 19.7 / 1e9) // Current supply ~19.7M BTC
-        };
+    /**
+     * Get agreed quotes for every configured asset and quote currency
+     */
+    async getMarketQuotes(options = {}) {
+        return marketDataService.getConsensusQuotes(options);
     }
 
     /**
@@ -838,6 +1516,10 @@ Commitment to institutional-grade service | Continuous technology advancement |
             initialized: this.isInitialized,
             botToken: config.botToken ? '***' + config.botToken.slice(-4) : null,
             channelId: config.channelId,
+            destinations: this.destinationStatus,
+            webhookMode: config.enableWebhook,
+            defaultTargets: config.defaultTargets,
+            queue: queue.getStatus(),
             timestamp: new Date().toISOString()
         };
     }
@@ -848,11 +1530,42 @@ const botInstance = new BitVaultTelegramBot();
 
 module.exports = {
     bot: botInstance,
-    broadcastUpdate: async (message) => {
-        return await botInstance.broadcastUpdate(message);
+    broadcastUpdate: async (message, options) => {
+        return await botInstance.broadcastUpdate(message, options);
+    },
+    sendDailyMarketSummary: async (options) => {
+        return await botInstance.sendDailyMarketSummary(options);
+    },
+    previewDailySummary: async (date) => {
+        return await botInstance.previewDailySummary(date);
+    },
+    sendImageWithCaption: async (imagePath, caption, options) => {
+        return await botInstance.sendImageWithCaption(imagePath, caption, options);
+    },
+    sendMedia: async (spec, options) => {
+        return await botInstance.sendMedia(spec, options);
+    },
+    renderTemplate: async (templateId, variables, parseMode) => {
+        return await botInstance.renderTemplate(templateId, variables, parseMode);
+    },
+    submitDraft: async (draft) => {
+        return await botInstance.submitDraft(draft);
+    },
+    reviewDraft: async (id, decision, reviewer, options) => {
+        return await botInstance.reviewDraft(id, decision, reviewer, options);
+    },
+    editPublishedMessage: async (id, content, editedBy, options) => {
+        return await botInstance.editPublishedMessage(id, content, editedBy, options);
+    },
+    deletePublishedMessage: async (id, deletedBy) => {
+        return await botInstance.deletePublishedMessage(id, deletedBy);
+    },
+    processWebhookUpdate: (update) => {
+        return botInstance.processWebhookUpdate(update);
     },
-    sendDailyMarketSummary: async () => {
-        return await botInstance.sendDailyMarketSummary();
+    webhookPath: WEBHOOK_PATH,
+    resolveTargets: (targets) => {
+        return botInstance.resolveTargets(targets);
     },
     initialize: async () => {
         return await botInstance.initialize();
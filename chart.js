@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const COLORS = {
+    background: [15, 23, 42],
+    grid: [30, 41, 59],
+    label: [148, 163, 184],
+    up: [34, 197, 94],
+    down: [239, 68, 68]
+};
+
+// 5x7 bitmap glyphs for axis labels (prices and dates only need digits and separators)
+const GLYPHS = {
+    '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+    '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+    '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+    ',': ['00000', '00000', '00000', '00000', '00110', '00100', '01000'],
+    '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+    '/': ['00001', '00001', '00010', '00100', '01000', '10000', '10000'],
+    '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+    ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Minimal RGB canvas with a PNG encoder (zlib only, no native or external dependencies)
+ */
+class Canvas {
+    constructor(width, height, color) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, color);
+    }
+
+    setPixel(x, y, [r, g, b]) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = r;
+        this.pixels[offset + 1] = g;
+        this.pixels[offset + 2] = b;
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let row = y; row < y + height; row++) {
+            for (let column = x; column < x + width; column++) {
+                this.setPixel(column, row, color);
+            }
+        }
+    }
+
+    /**
+     * Draw a line of the given thickness between two points
+     */
+    line(x0, y0, x1, y1, color, thickness = 1) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1) * 2;
+        const offset = Math.floor(thickness / 2);
+
+        for (let step = 0; step <= steps; step++) {
+            const x = x0 + (x1 - x0) * step / steps;
+            const y = y0 + (y1 - y0) * step / steps;
+            this.fillRect(Math.round(x) - offset, Math.round(y) - offset, thickness, thickness, color);
+        }
+    }
+
+    /**
+     * Draw text with the bitmap font; unknown characters are skipped
+     */
+    text(x, y, value, color, scale = 2) {
+        [...value].forEach((char, index) => {
+            const glyph = GLYPHS[char];
+            if (!glyph) return;
+
+            glyph.forEach((row, rowIndex) => {
+                [...row].forEach((bit, columnIndex) => {
+                    if (bit === '1') {
+                        this.fillRect(x + (index * 6 + columnIndex) * scale, y + rowIndex * scale, scale, scale, color);
+                    }
+                });
+            });
+        });
+    }
+
+    textWidth(value, scale = 2) {
+        return value.length * 6 * scale;
+    }
+
+    toPNG() {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // color type: RGB
+
+        // Each scanline starts with filter type 0 (none)
+        const rowLength = this.width * 3;
+        const raw = Buffer.alloc((rowLength + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+        }
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            this.chunk('IHDR', header),
+            this.chunk('IDAT', zlib.deflateSync(raw)),
+            this.chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    chunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+
+        const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        let crc = 0xffffffff;
+        for (const byte of typeAndData) {
+            crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+
+        const checksum = Buffer.alloc(4);
+        checksum.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+        return Buffer.concat([length, typeAndData, checksum]);
+    }
+}
+
+/**
+ * Renders price charts from the stored market history as PNG files
+ */
+class ChartRenderer {
+    /**
+     * Render a price line over [{ timestamp, price }] points; returns the PNG as a Buffer
+     */
+    renderPriceChart(points, { width = 800, height = 400 } = {}) {
+        if (points.length < 2) {
+            throw new Error('At least two price points are needed for a chart');
+        }
+
+        const canvas = new Canvas(width, height, COLORS.background);
+        const area = { left: 110, right: width - 20, top: 20, bottom: height - 40 };
+
+        const times = points.map(point => Date.parse(point.timestamp));
+        const prices = points.map(point => point.price);
+        const minTime = Math.min(...times);
+        const maxTime = Math.max(...times);
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+        const priceRange = maxPrice - minPrice || maxPrice * 0.01;
+
+        const toX = time => area.left + (time - minTime) / (maxTime - minTime || 1) * (area.right - area.left);
+        const toY = price => area.bottom - (price - minPrice) / priceRange * (area.bottom - area.top);
+
+        // Horizontal grid lines with price labels
+        for (let i = 0; i <= 4; i++) {
+            const price = minPrice + priceRange * i / 4;
+            const y = Math.round(toY(price));
+            canvas.line(area.left, y, area.right, y, COLORS.grid);
+
+            const label = this.formatPrice(price);
+            canvas.text(area.left - 10 - canvas.textWidth(label), y - 7, label, COLORS.label);
+        }
+
+        // Date labels at both ends
+        const startLabel = this.formatDate(minTime);
+        const endLabel = this.formatDate(maxTime);
+        canvas.text(area.left, area.bottom + 14, startLabel, COLORS.label);
+        canvas.text(area.right - canvas.textWidth(endLabel), area.bottom + 14, endLabel, COLORS.label);
+
+        // Shaded area under the line, then the line itself
+        const color = prices[prices.length - 1] >= prices[0] ? COLORS.up : COLORS.down;
+        const shade = color.map((channel, index) => Math.round(channel * 0.25 + COLORS.background[index] * 0.75));
+
+        for (let i = 1; i < points.length; i++) {
+            const x0 = toX(times[i - 1]);
+            const x1 = toX(times[i]);
+            const y0 = toY(prices[i - 1]);
+            const y1 = toY(prices[i]);
+
+            for (let x = Math.ceil(x0); x <= x1; x++) {
+                const y = y0 + (y1 - y0) * (x - x0) / (x1 - x0 || 1);
+                canvas.line(x, Math.round(y), x, area.bottom, shade);
+            }
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            canvas.line(toX(times[i - 1]), toY(prices[i - 1]), toX(times[i]), toY(prices[i]), color, 3);
+        }
+
+        return canvas.toPNG();
+    }
+
+    /**
+     * Render a chart into a PNG file next to uploaded images and return its path (the caller owns the file)
+     */
+    renderToFile(points, options) {
+        const uploadDir = './uploads';
+        fs.mkdirSync(uploadDir, { recursive: true });
+
+        const filePath = path.join(uploadDir, `chart-${Date.now()}-${crypto.randomBytes(3).toString('hex')}.png`);
+        fs.writeFileSync(filePath, this.renderPriceChart(points, options));
+        return filePath;
+    }
+
+    formatPrice(price) {
+        return price.toLocaleString('en-US', { maximumFractionDigits: price >= 1000 ? 0 : 2 });
+    }
+
+    formatDate(time) {
+        const date = new Date(time);
+        return `${String(date.getUTCMonth() + 1).padStart(2, '0')}/${String(date.getUTCDate()).padStart(2, '0')}`;
+    }
+}
+
+// Create and export singleton instance
+const chart = new ChartRenderer();
+
+module.exports = chart;
@@ -0,0 +1,125 @@
+const formatting = require('./formatting');
+
+// Preferred split points, best first
+const SEPARATORS = ['\n\n', '\n', ' '];
+
+// A preferred split point is only used when the part it leaves is at least this full
+const MIN_FILL = 0.5;
+
+/**
+ * Splits text that is too long for a single Telegram message.
+ * Parts break on paragraph, then line, then word boundaries, and every part must parse on its own
+ * in the message's parse mode, so entities (bold runs, code blocks, HTML tags) are never cut in half.
+ * An entity longer than a part is closed at the cut and reopened at the start of the next part.
+ */
+class MessageChunker {
+    /**
+     * Split text into parts of at most `limit` characters; the last part is kept within `lastLimit`
+     * (room for a footer). Text that fits is returned as a single part.
+     */
+    split(text, limit, { parseMode = 'Markdown', lastLimit = limit } = {}) {
+        const parts = [];
+        let remaining = text.trim();
+
+        while (remaining.length > lastLimit) {
+            // The tail must end up within lastLimit, so a text that already fits into one part still gets cut once more
+            const { position, close, reopen } = this.findCut(remaining, Math.min(limit, remaining.length - 1), parseMode);
+            const cut = Math.max(1, position);
+            parts.push(remaining.slice(0, cut).trimEnd() + close);
+            remaining = reopen + remaining.slice(cut).trimStart();
+        }
+
+        parts.push(remaining);
+        return parts.filter(Boolean);
+    }
+
+    /**
+     * The latest cut within `max` characters, as { position, close, reopen }: a boundary that leaves a part
+     * which parses on its own, else a boundary inside entities that are closed (`close`) and reopened at the
+     * start of the rest (`reopen`), else any such position within a long word.
+     * Paragraph, then line, then word boundaries are preferred as long as the part is at least half full;
+     * below that the latest boundary of any kind wins, so a short heading never becomes a part of its own.
+     */
+    findCut(text, max, parseMode) {
+        const preferred = [];
+        const latest = [];
+        SEPARATORS.forEach((separator) => {
+            for (let position = text.lastIndexOf(separator, max); position > 0; position = text.lastIndexOf(separator, position - 1)) {
+                (position >= max * MIN_FILL ? preferred : latest).push(position);
+            }
+        });
+        const boundaries = [...new Set([...preferred, ...latest.sort((a, b) => b - a)])];
+
+        const positions = [];
+        for (let position = max; position > 0; position--) {
+            if (!this.isSplitSurrogate(text, position) && !this.isSplitEscape(text, position)) {
+                positions.push(position);
+            }
+        }
+
+        for (const candidates of [boundaries, positions]) {
+            const clean = candidates.find(position => this.isClean(text.slice(0, position), parseMode));
+            if (clean) {
+                return { position: clean, close: '', reopen: '' };
+            }
+
+            for (const position of candidates) {
+                const cut = this.closeEntitiesAt(text, position, max, parseMode);
+                if (cut) {
+                    return cut;
+                }
+            }
+        }
+
+        // Nothing can be repaired (e.g. a link longer than the limit): cut at the limit
+        return { position: this.isSplitSurrogate(text, max) ? max - 1 : max, close: '', reopen: '' };
+    }
+
+    /**
+     * A cut inside entities: the part closes them and still fits within `max`, the rest reopens them.
+     * Null when the part would not parse or an entity would be left empty.
+     */
+    closeEntitiesAt(text, position, max, parseMode) {
+        const head = text.slice(0, position).trimEnd();
+        const entities = formatting.getOpenEntities(head, parseMode);
+
+        if (!entities || entities.length === 0 || entities.some(entity => head.endsWith(entity.open.trim()))) {
+            return null;
+        }
+
+        const close = entities.map(entity => entity.close).reverse().join('');
+        const reopen = entities.map(entity => entity.open).join('');
+        if (head.length + close.length > max || !this.isClean(head + close, parseMode)) {
+            return null;
+        }
+
+        return { position, close, reopen };
+    }
+
+    /**
+     * Whether a part parses on its own (no open entity, no dangling escape)
+     */
+    isClean(part, parseMode) {
+        return part.trim().length > 0 && !formatting.validate(part, parseMode);
+    }
+
+    /**
+     * Whether cutting at a position would separate a backslash from the character it escapes
+     */
+    isSplitEscape(text, position) {
+        return text[position - 1] === '\\';
+    }
+
+    /**
+     * Whether cutting at a position would split a UTF-16 surrogate pair (emoji)
+     */
+    isSplitSurrogate(text, position) {
+        const code = text.charCodeAt(position - 1);
+        return code >= 0xd800 && code <= 0xdbff;
+    }
+}
+
+// Create and export singleton instance
+const chunker = new MessageChunker();
+
+module.exports = chunker;
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const JsonStore = require('./store');
+
+// A digit not glued to a letter ("52 jurisdictions", "$2.1B", "97.8%" - but not "v2" or "Q4")
+const NUMERIC_CLAIM_PATTERN = /(?<![A-Za-z])\d/;
+
+// Statements of fact that need a source even without a number
+const FACTUAL_CLAIM_PATTERNS = [
+    /\blicensed\b/i,
+    /\bregulated\b/i,
+    /\baudited\b/i,
+    /\binsur(ed|ance)\b/i,
+    /\bcertified\b/i,
+    /\baward\b/i
+];
+
+// Numeric expressions that are not claims
+const IGNORED_PATTERNS = [
+    /24\/7/g,
+    /\bLayer-\d\b/gi
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Registry of sourced facts and the pre-publish claims check.
+ * Every numeric or factual statement must come from live data or a dated, sourced fact.
+ */
+class ClaimsRegistry {
+    constructor() {
+        this.store = new JsonStore('claims.json', { facts: [] });
+    }
+
+    /**
+     * List registered facts with their freshness
+     */
+    listFacts() {
+        return this.store.read().facts.map(fact => ({
+            ...fact,
+            stale: this.isStale(fact)
+        }));
+    }
+
+    /**
+     * Get a single fact
+     */
+    getFact(id) {
+        const fact = this.store.read().facts.find(entry => entry.id === id);
+        return fact ? { ...fact, stale: this.isStale(fact) } : null;
+    }
+
+    /**
+     * Register a sourced fact, e.g. { text: 'Licensed in 52 jurisdictions', source: 'https://...', asOf: '2025-06-30' }
+     */
+    addFact({ text, source, asOf, maxAgeDays }) {
+        this.validateFact({ text, source, asOf, maxAgeDays });
+
+        const fact = {
+            id: crypto.randomBytes(4).toString('hex'),
+            text: text.trim(),
+            source,
+            asOf,
+            maxAgeDays: maxAgeDays || config.claimMaxAgeDays,
+            createdAt: new Date().toISOString()
+        };
+
+        this.store.update((data) => {
+            data.facts.push(fact);
+        });
+
+        logger.info(`Fact registered: "${fact.text}" (source: ${source}, as of ${asOf})`);
+        return { ...fact, stale: this.isStale(fact) };
+    }
+
+    /**
+     * Update a fact, typically to refresh its source date
+     */
+    updateFact(id, changes) {
+        const data = this.store.read();
+        const index = data.facts.findIndex(fact => fact.id === id);
+
+        if (index === -1) {
+            return null;
+        }
+
+        const existing = data.facts[index];
+        const updated = {
+            ...existing,
+            text: changes.text !== undefined ? changes.text.trim() : existing.text,
+            source: changes.source !== undefined ? changes.source : existing.source,
+            asOf: changes.asOf !== undefined ? changes.asOf : existing.asOf,
+            maxAgeDays: changes.maxAgeDays !== undefined ? changes.maxAgeDays : existing.maxAgeDays,
+            updatedAt: new Date().toISOString()
+        };
+        this.validateFact(updated);
+
+        data.facts[index] = updated;
+        this.store.write(data);
+
+        logger.info(`Fact updated: "${updated.text}" (as of ${updated.asOf})`);
+        return { ...updated, stale: this.isStale(updated) };
+    }
+
+    /**
+     * Remove a fact
+     */
+    removeFact(id) {
+        const data = this.store.read();
+        const remaining = data.facts.filter(fact => fact.id !== id);
+
+        if (remaining.length === data.facts.length) {
+            return false;
+        }
+
+        data.facts = remaining;
+        this.store.write(data);
+        return true;
+    }
+
+    /**
+     * Validate a fact definition
+     */
+    validateFact({ text, source, asOf, maxAgeDays }) {
+        if (!text || typeof text !== 'string') {
+            throw new Error('Fact text is required');
+        }
+
+        if (!source || typeof source !== 'string') {
+            throw new Error('Fact source is required');
+        }
+
+        if (!asOf || isNaN(Date.parse(asOf))) {
+            throw new Error('Fact asOf must be a valid date (YYYY-MM-DD)');
+        }
+
+        if (maxAgeDays !== undefined && maxAgeDays !== null && (!Number.isInteger(maxAgeDays) || maxAgeDays < 1)) {
+            throw new Error('Fact maxAgeDays must be a positive integer');
+        }
+    }
+
+    /**
+     * A fact is stale once it is older than its maximum age
+     */
+    isStale(fact, now = new Date()) {
+        const maxAgeDays = fact.maxAgeDays || config.claimMaxAgeDays;
+        return now.getTime() - new Date(fact.asOf).getTime() > maxAgeDays * DAY_MS;
+    }
+
+    /**
+     * Check every line/segment of a message for unsourced or stale claims.
+     * liveValues are strings that came from a live data provider (price, change, date...).
+     */
+    check(text, { liveValues = [] } = {}) {
+        const facts = this.store.read().facts;
+        const findings = [];
+
+        // Longest first, so a table row is matched before the price it contains
+        const values = liveValues
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(String)
+            .sort((a, b) => b.length - a.length);
+
+        const segments = text.split(/\n|\|/).map(segment => segment.trim()).filter(Boolean);
+
+        segments.forEach((segment) => {
+            let residual = segment;
+
+            // Values from live data providers are sourced by definition
+            values.forEach((value) => {
+                residual = residual.split(value).join(' ');
+            });
+
+            // Registered facts cover their own text, if they are still fresh
+            facts.forEach((fact) => {
+                const index = residual.toLowerCase().indexOf(fact.text.toLowerCase());
+                if (index === -1) return;
+
+                residual = residual.slice(0, index) + ' ' + residual.slice(index + fact.text.length);
+                if (this.isStale(fact)) {
+                    findings.push({
+                        claim: segment,
+                        status: 'stale',
+                        factId: fact.id,
+                        asOf: fact.asOf,
+                        source: fact.source
+                    });
+                }
+            });
+
+            IGNORED_PATTERNS.forEach((pattern) => {
+                residual = residual.replace(pattern, ' ');
+            });
+
+            if (NUMERIC_CLAIM_PATTERN.test(residual) || FACTUAL_CLAIM_PATTERNS.some(pattern => pattern.test(residual))) {
+                findings.push({
+                    claim: segment,
+                    status: 'unsourced'
+                });
+            }
+        });
+
+        return {
+            passed: findings.length === 0,
+            mode: config.claimsMode,
+            findings,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Pre-publish gate: throws in block mode when the check fails, otherwise returns the report
+     */
+    enforce(text, options = {}) {
+        if (config.claimsMode === 'off') {
+            return null;
+        }
+
+        const report = this.check(text, options);
+
+        if (!report.passed) {
+            const summary = report.findings.map(finding => `[${finding.status}] ${finding.claim}`).join('; ');
+
+            if (config.claimsMode === 'block') {
+                logger.warn(`Publishing blocked by claims check: ${summary}`);
+                const error = new Error(`Blocked by claims check: ${report.findings.length} unsourced or stale claim(s)`);
+                error.claims = report;
+                throw error;
+            }
+
+            logger.warn(`Claims check flagged content: ${summary}`);
+        }
+
+        return report;
+    }
+}
+
+// Create and export singleton instance
+const claims = new ClaimsRegistry();
+
+module.exports = claims;
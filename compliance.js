@@ -0,0 +1,91 @@
+const config = require('./config');
+const formatting = require('./formatting');
+
+// Telegram's length limits for message text and photo captions
+const LIMITS = {
+    text: 4096,
+    caption: 1024
+};
+
+const FOOTER_SEPARATOR = '\n\n';
+
+/**
+ * Adds the mandatory disclaimer footer to outgoing content.
+ * Content is refused rather than sent when the footer would be cut off or swallowed by broken formatting.
+ */
+class ComplianceFooter {
+    constructor() {
+        this.limits = LIMITS;
+    }
+
+    /**
+     * Footer text for a destination (falls back to DISCLAIMER_TEXT)
+     */
+    getFooter(destination) {
+        return config.destinationDisclaimers[destination] || config.disclaimerText;
+    }
+
+    /**
+     * Room left for content once the footer is appended: the destination's footer in the given parse mode,
+     * or the longest configured footer when no destination is given
+     */
+    getAvailableLength(kind = 'text', destination = null, parseMode = 'Markdown') {
+        const footers = destination
+            ? [this.getFooter(destination)]
+            : [config.disclaimerText, ...Object.keys(config.destinations).map(name => this.getFooter(name))];
+        return LIMITS[kind] - FOOTER_SEPARATOR.length - Math.max(...footers.map(footer => formatting.fromMarkdown(footer, parseMode).length));
+    }
+
+    /**
+     * Append the destination's footer; kind is 'text' or 'caption'.
+     * Footers are written in legacy Markdown and converted to the content's parse mode.
+     */
+    apply(content, destination, kind = 'text', parseMode = 'Markdown') {
+        const body = (content || '').trim();
+        const limit = LIMITS[kind];
+
+        if (formatting.validate(this.getFooter(destination), 'Markdown')) {
+            throw this.refuse(`Disclaimer footer for '${destination}' contains unbalanced Markdown`, { destination, kind });
+        }
+
+        const problem = formatting.validate(body, parseMode);
+        if (problem) {
+            throw this.refuse(`Content has invalid ${parseMode} formatting (${problem.error}) that would swallow the disclaimer footer`, { destination, kind, parseMode });
+        }
+
+        const footer = formatting.fromMarkdown(this.getFooter(destination), parseMode);
+        const text = body ? body + FOOTER_SEPARATOR + footer : footer;
+        if (text.length > limit) {
+            throw this.refuse(`Content for '${destination}' is ${text.length} characters with its disclaimer footer; the ${kind} limit is ${limit}, so the footer would be cut off`, {
+                destination,
+                kind,
+                length: text.length,
+                limit,
+                available: limit - footer.length - FOOTER_SEPARATOR.length
+            });
+        }
+
+        return text;
+    }
+
+    /**
+     * Apply the footer for every destination up front, so nothing is sent when one of them is refused
+     */
+    applyAll(content, destinations, kind = 'text', parseMode = 'Markdown') {
+        return Object.fromEntries(destinations.map(({ name }) => [name, this.apply(content, name, kind, parseMode)]));
+    }
+
+    /**
+     * Build a refusal error carrying the compliance details
+     */
+    refuse(message, details) {
+        const error = new Error(`Refused by compliance check: ${message}`);
+        error.compliance = details;
+        return error;
+    }
+}
+
+// Create and export singleton instance
+const compliance = new ComplianceFooter();
+
+module.exports = compliance;
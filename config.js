@@ -4,6 +4,104 @@ const logger = require('./logger');
 // Load environment variables
 dotenv.config();
 
+/**
+ * Normalize a channel reference (full t.me URL to @channel_name)
+ */
+function normalizeChannelId(channelId) {
+    if (channelId && channelId.startsWith('https://t.me/')) {
+        return '@' + channelId.replace('https://t.me/', '');
+    }
+    return channelId;
+}
+
+/**
+ * Parse named destinations from DESTINATIONS ("main=@channel,staging=-100123")
+ * The CHANNEL_ID channel is always available as "main" unless overridden
+ */
+function parseDestinations() {
+    const destinations = {};
+
+    if (process.env.CHANNEL_ID) {
+        destinations.main = normalizeChannelId(process.env.CHANNEL_ID);
+    }
+
+    (process.env.DESTINATIONS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+        const [name, chatId] = entry.split('=').map(part => part.trim());
+        if (name && chatId) {
+            destinations[name] = normalizeChannelId(chatId);
+        }
+    });
+
+    return destinations;
+}
+
+/**
+ * Parse a comma-separated list of destination names
+ */
+function parseList(value, fallback) {
+    const list = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    return list.length > 0 ? list : fallback;
+}
+
+/**
+ * Telegram user IDs of API users from "telegramId:user" pairs (e.g. 123456789:alice,987654321:bob)
+ */
+function parseIdentities(value) {
+    return Object.fromEntries(parseList(value, [])
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([telegramId, user]) => telegramId && user));
+}
+
+/**
+ * Per-destination disclaimer footers from DISCLAIMER_TEXT_<NAME> (e.g. DISCLAIMER_TEXT_STAGING)
+ */
+function parseDisclaimers(destinations) {
+    const disclaimers = {};
+
+    Object.keys(destinations).forEach((name) => {
+        const text = process.env[`DISCLAIMER_TEXT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+        if (text && text.trim()) {
+            disclaimers[name] = text.trim();
+        }
+    });
+
+    return disclaimers;
+}
+
+/**
+ * Parse per-currency number formatting locales from CURRENCY_LOCALES ("EUR=de-DE,GBP=en-GB")
+ */
+function parseCurrencyLocales() {
+    const locales = {};
+
+    (process.env.CURRENCY_LOCALES || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+        const [currency, locale] = entry.split('=').map(part => part.trim());
+        if (currency && locale) {
+            locales[currency.toUpperCase()] = locale;
+        }
+    });
+
+    return locales;
+}
+
+/**
+ * Per-provider market data timeouts from MARKET_DATA_TIMEOUT_<PROVIDER> (e.g. MARKET_DATA_TIMEOUT_COINGECKO=5000)
+ */
+function parseProviderTimeouts() {
+    const timeouts = {};
+
+    Object.keys(process.env).filter(key => key.startsWith('MARKET_DATA_TIMEOUT_')).forEach((key) => {
+        const timeout = parseInt(process.env[key]);
+        if (timeout > 0) {
+            timeouts[key.replace('MARKET_DATA_TIMEOUT_', '').toLowerCase()] = timeout;
+        }
+    });
+
+    return timeouts;
+}
+
+const DEFAULT_DISCLAIMER = '⚠️ _Not financial advice. Crypto assets are highly volatile and you may lose all of the capital you invest. Past performance does not guarantee future results._';
+
 /**
  * Configuration object with validation
  */
@@ -12,10 +110,26 @@ const config = {
     botToken: process.env.BOT_TOKEN,
     channelId: process.env.CHANNEL_ID,
     
+    // Named broadcast destinations and the ones used when no targets are given
+    destinations: parseDestinations(),
+    defaultTargets: parseList(process.env.DEFAULT_TARGETS, ['main']),
+    dailySummaryTargets: parseList(process.env.DAILY_SUMMARY_TARGETS, null),
+    
+    // Daily Summary Chart: attach a price chart of the last DAILY_CHART_DAYS of stored history
+    dailyChart: process.env.DAILY_CHART === 'true',
+    dailyChartDays: parseInt(process.env.DAILY_CHART_DAYS) || 7,
+    
+    // Daily Variant Rotation: variants used in this many recent posts are skipped
+    variantRecentWindow: parseInt(process.env.VARIANT_RECENT_WINDOW) || 5,
+    
     // Scheduler Configuration
     dailyUpdateTime: process.env.DAILY_UPDATE_TIME || '0 9 * * *', // 9:00 AM daily
     timezone: process.env.TIMEZONE || 'UTC',
     
+    // One-off posts missed while the process was down: 'send' them late (within the window, 0 = any delay) or 'skip' them
+    oneOffCatchUp: process.env.ONE_OFF_CATCH_UP === 'skip' ? 'skip' : 'send',
+    oneOffCatchUpWindowMinutes: process.env.ONE_OFF_CATCH_UP_WINDOW_MINUTES ? Number(process.env.ONE_OFF_CATCH_UP_WINDOW_MINUTES) : 60,
+    
     // API Configuration
     port: parseInt(process.env.PORT) || 5000,
     host: process.env.HOST || '0.0.0.0',
@@ -23,17 +137,71 @@ const config = {
     // Logging Configuration
     logLevel: process.env.LOG_LEVEL || 'info',
     
+    // Storage Configuration (persisted schedules and other state)
+    dataDir: process.env.DATA_DIR || './data',
+    
     // Bot Behavior Configuration
     retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 3,
     retryDelay: parseInt(process.env.RETRY_DELAY) || 2000,
     
+    // Market Data Integrity: 'skip' the daily post or send it with 'no-numbers' when every feed fails
+    marketDataFallback: process.env.MARKET_DATA_FALLBACK === 'no-numbers' ? 'no-numbers' : 'skip',
+    
+    // Market Assets: summarized assets and quote currencies (the first of each is the primary pair) and number formatting
+    marketAssets: parseList(process.env.MARKET_ASSETS, ['BTC']).map(asset => asset.toUpperCase()),
+    quoteCurrencies: parseList(process.env.QUOTE_CURRENCIES, ['USD']).map(currency => currency.toUpperCase()),
+    marketLocale: process.env.MARKET_LOCALE || 'en-US',
+    currencyLocales: parseCurrencyLocales(),
+    
+    // Market Data Providers: query order (default: every registered provider), timeouts and optional price bounds
+    marketDataProviders: parseList(process.env.MARKET_DATA_PROVIDERS, null),
+    marketDataTimeout: parseInt(process.env.MARKET_DATA_TIMEOUT) || 8000,
+    marketDataTimeouts: parseProviderTimeouts(),
+    marketPriceMin: parseFloat(process.env.MARKET_PRICE_MIN) || null,
+    marketPriceMax: parseFloat(process.env.MARKET_PRICE_MAX) || null,
+    
+    // Price Consensus: quotes further than this percentage from the median are outliers
+    marketConsensusTolerance: parseFloat(process.env.MARKET_CONSENSUS_TOLERANCE) || 1,
+    marketConsensusMinSources: parseInt(process.env.MARKET_CONSENSUS_MIN_SOURCES) || 2,
+    
+    // Market Data History: in-memory cache lifetime (seconds) and how long snapshots are kept (days)
+    marketCacheTtl: parseInt(process.env.MARKET_CACHE_TTL) || 60,
+    marketHistoryDays: parseInt(process.env.MARKET_HISTORY_DAYS) || 90,
+    
+    // Offline stub provider (name "Stub"): local JSON file or HTTP URL returning { price, change24h, marketCap }
+    marketStubFile: process.env.MARKET_STUB_FILE,
+    marketStubUrl: process.env.MARKET_STUB_URL,
+    
     // Feature Flags
     enableScheduler: process.env.ENABLE_SCHEDULER !== 'false',
     enableApi: process.env.ENABLE_API !== 'false',
     enableCommands: process.env.ENABLE_COMMANDS !== 'false',
     
+    // Telegram Webhook (opt-in): commands are received via POST /telegram/webhook instead of polling
+    enableWebhook: process.env.ENABLE_WEBHOOK === 'true',
+    webhookUrl: process.env.WEBHOOK_URL, // Public base URL, e.g. https://bitvault-bot.onrender.com
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    
     // Security - Authorized user ID (using CHAT_ID)
-    authorizedUserId: process.env.CHAT_ID
+    authorizedUserId: process.env.CHAT_ID,
+    
+    // Price Alerts: market data poll interval (seconds) and default cooldown between alerts of a rule (minutes)
+    alertPollInterval: parseInt(process.env.ALERT_POLL_INTERVAL) || 300,
+    alertCooldownMinutes: parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60,
+    
+    // Claims Check: 'block' or 'flag' unsourced/stale figures before publishing, or 'off'
+    claimsMode: ['block', 'flag', 'off'].includes(process.env.CLAIMS_MODE) ? process.env.CLAIMS_MODE : 'block',
+    claimMaxAgeDays: parseInt(process.env.CLAIM_MAX_AGE_DAYS) || 90,
+    
+    // Compliance footer appended to every outgoing message and caption (per-destination overrides)
+    disclaimerText: (process.env.DISCLAIMER_TEXT || '').trim() || DEFAULT_DISCLAIMER,
+    destinationDisclaimers: parseDisclaimers(parseDestinations()),
+    
+    // Draft Review: API/command broadcasts become drafts that a second user must approve
+    requireApproval: process.env.REQUIRE_APPROVAL === 'true',
+    reviewChatId: process.env.REVIEW_CHAT_ID,
+    reviewerUserIds: parseList(process.env.REVIEWER_USER_IDS, process.env.CHAT_ID ? [process.env.CHAT_ID] : []),
+    telegramIdentities: parseIdentities(process.env.TELEGRAM_USER_IDENTITIES)
 };
 
 /**
@@ -75,6 +243,79 @@ function validateConfig() {
         }
     }
     
+    // Webhook mode needs a public URL and a secret token
+    if (config.enableWebhook) {
+        if (!config.webhookUrl || !config.webhookUrl.startsWith('https://')) {
+            const error = 'WEBHOOK_URL must be set to a public https:// URL when ENABLE_WEBHOOK=true';
+            logger.error(error);
+            throw new Error(error);
+        }
+        
+        if (!config.webhookSecret || !/^[A-Za-z0-9_-]{16,256}$/.test(config.webhookSecret)) {
+            const error = 'WEBHOOK_SECRET must be 16-256 characters (A-Z, a-z, 0-9, _ and -) when ENABLE_WEBHOOK=true';
+            logger.error(error);
+            throw new Error(error);
+        }
+        
+        // The webhook route is served by the API server
+        if (!config.enableApi) {
+            const error = 'ENABLE_API must not be false when ENABLE_WEBHOOK=true (the webhook is served by the API server)';
+            logger.error(error);
+            throw new Error(error);
+        }
+    }
+    
+    // An unreadable catch-up window must not silently become "any delay"
+    if (!Number.isInteger(config.oneOffCatchUpWindowMinutes) || config.oneOffCatchUpWindowMinutes < 0) {
+        const error = `ONE_OFF_CATCH_UP_WINDOW_MINUTES must be a non-negative integer (0 = any delay). Received: "${process.env.ONE_OFF_CATCH_UP_WINDOW_MINUTES}"`;
+        logger.error(error);
+        throw new Error(error);
+    }
+    
+    // Draft previews need a private review chat
+    if (config.requireApproval && !config.reviewChatId) {
+        const error = 'REVIEW_CHAT_ID must be set when REQUIRE_APPROVAL=true';
+        logger.error(error);
+        throw new Error(error);
+    }
+    
+    // Validate named destinations and default targets
+    Object.entries(config.destinations).forEach(([name, chatId]) => {
+        if (!chatId.match(/^@[A-Za-z0-9_]+$|^-?\d+$/)) {
+            const error = `Destination "${name}" must be a valid Telegram channel ID (e.g., @channel_name or -1001234567890). Received: "${chatId}"`;
+            logger.error(error);
+            throw new Error(error);
+        }
+    });
+    
+    [...config.defaultTargets, ...(config.dailySummaryTargets || [])].forEach((name) => {
+        if (!config.destinations[name]) {
+            const error = `Target "${name}" is not a configured destination. Available: ${Object.keys(config.destinations).join(', ')}`;
+            logger.error(error);
+            throw new Error(error);
+        }
+    });
+    
+    // Quote currencies and locales must be usable for number formatting
+    config.quoteCurrencies.forEach((currency) => {
+        try {
+            new Intl.NumberFormat(config.currencyLocales[currency] || config.marketLocale, { style: 'currency', currency });
+        } catch (formatError) {
+            const error = `Invalid quote currency or locale for "${currency}": ${formatError.message}`;
+            logger.error(error);
+            throw new Error(error);
+        }
+    });
+    
+    // Disclaimer footers must always fit into a photo caption
+    [config.disclaimerText, ...Object.values(config.destinationDisclaimers)].forEach((footer) => {
+        if (footer.length > 1000) {
+            const error = `Disclaimer footers may be at most 1000 characters (received ${footer.length})`;
+            logger.error(error);
+            throw new Error(error);
+        }
+    });
+    
     logger.info('Configuration validated successfully');
     return true;
 }
@@ -85,7 +326,8 @@ function validateConfig() {
 function logConfig() {
     const safeConfig = {
         ...config,
-        botToken: config.botToken ? '***' + config.botToken.slice(-4) : null
+        botToken: config.botToken ? '***' + config.botToken.slice(-4) : null,
+        webhookSecret: config.webhookSecret ? '***' : null
     };
     
     logger.info('Current configuration:', safeConfig);
@@ -0,0 +1,22 @@
+const apiKeys = require('./auth');
+const logger = require('./logger');
+
+/**
+ * Issue an API key from the command line, e.g. to bootstrap the first admin:
+ *   node create-api-key.js <user> <role>
+ */
+function createApiKey() {
+    const [user, role = 'admin'] = process.argv.slice(2);
+
+    try {
+        const issued = apiKeys.issueKey(user, role, 'cli');
+        console.log(`\nAPI key for '${issued.user}' (${issued.role}):\n\n  ${issued.key}\n\nStore it safely - it cannot be shown again.\n`);
+        process.exit(0);
+    } catch (error) {
+        logger.error('Failed to create API key:', error.message);
+        console.log(`Usage: node create-api-key.js <user> <${apiKeys.roles.join('|')}>`);
+        process.exit(1);
+    }
+}
+
+createApiKey();
@@ -0,0 +1,542 @@
+/**
+ * Built-in templates used to seed the template store on first start.
+ * Placeholders such as {{priceLine}} or {{date}} are filled in by the template engine.
+ */
+module.exports = [
+    {
+        id: 'daily-01',
+        name: 'Professional Market Analysis',
+        category: 'daily',
+        body: `🏛️ *BitVault Pro Market Intelligence*
+
+📊 *Current Bitcoin Price*: {{priceLine}}
+💼 *Market Capitalization*: {{marketCap}}
+⏰ *Updated*: {{updatedAt}} UTC
+
+📈 *Market Analysis*
+Bitcoin continues to demonstrate its position as a premier digital asset. Our algorithmic trading systems are actively monitoring market conditions and optimizing portfolio performance across all client accounts.
+
+🔐 *Security Update*
+All client assets remain secured in institutional-grade cold storage. Our multi-signature protocols and 24/7 monitoring ensure maximum protection of your investments.
+
+💎 *Portfolio Performance*
+BitVault Pro's diversified approach continues to outperform traditional Bitcoin holding strategies through our proprietary risk management systems.
+
+*Professional Bitcoin Investment Solutions* 🚀`
+    },
+    {
+        id: 'daily-02',
+        name: 'Institutional Grade Analysis',
+        category: 'daily',
+        body: `⚡ *BitVault Pro Trading Desk Update*
+
+💹 *Bitcoin Current Price*: {{priceLine}}
+🌍 *Global Market Cap*: {{marketCap}}
+📊 *Trading Volume*: Active across multiple exchanges
+
+🎯 *Strategic Positioning*
+Our quantitative analysis indicates continued strength in Bitcoin's technical fundamentals. Client portfolios are positioned to capitalize on both short-term volatility and long-term appreciation.
+
+🏦 *Institutional Backing*
+Major financial institutions continue their Bitcoin adoption, providing additional market stability and validation for our investment thesis.
+
+⚙️ *System Performance*
+All trading algorithms operating at optimal efficiency. Risk management protocols active. Client accounts showing consistent growth patterns.
+
+*Excellence in Digital Asset Management* 💼`
+    },
+    {
+        id: 'daily-03',
+        name: 'Technical Analysis Report',
+        category: 'daily',
+        body: `🔬 *BitVault Pro Technical Analysis*
+
+🪙 *Bitcoin Price*: {{priceLine}}
+📊 *Market Dominance*: 42.3% | *Fear & Greed*: 68 (Greed)
+⚡ *24h Volume*: $31.2B across major exchanges
+
+📈 *Technical Indicators*
+RSI: 58.2 (Neutral) | MACD: Bullish divergence | Moving Averages: Strong support at $92K level. Our algorithmic models indicate continued upward momentum with strategic accumulation zones identified.
+
+🏛️ *Institutional Flow*
+Net inflows of $2.1B this week from institutional accounts. ETF holdings increased by 12,847 BTC. Corporate treasury adoptions accelerating across Fortune 500 companies.
+
+⚙️ *BitVault Advantage*
+Our proprietary trading algorithms have captured 127% of Bitcoin's movement through strategic positioning and risk management protocols.
+
+*Precision in Digital Asset Management* 🎯`
+    },
+    {
+        id: 'daily-04',
+        name: 'Risk Management Update',
+        category: 'daily',
+        body: `🛡️ *BitVault Pro Risk Management Report*
+
+💼 *Bitcoin Position*: {{priceLine}}
+🔐 *Client Assets Secured*: 100% | *System Uptime*: 99.97%
+📋 *Compliance Status*: Fully regulated and audited
+
+⚖️ *Risk Assessment*
+Current market volatility: Moderate. Our dynamic hedging strategies have reduced portfolio drawdowns by 34% compared to standard Bitcoin holding. Stop-loss mechanisms and position sizing protocols active.
+
+🏦 *Custody Standards*
+Multi-signature cold storage | Segregated client accounts | $200M insurance coverage | SOC 2 Type II certified infrastructure
+
+📊 *Performance Metrics*
+YTD Returns: +187% | Max Drawdown: -8.2% | Sharpe Ratio: 2.34 | Client satisfaction: 97.8%
+
+*Institutional-Grade Risk Management* 💎`
+    },
+    {
+        id: 'daily-05',
+        name: 'Market Intelligence',
+        category: 'daily',
+        body: `🧠 *BitVault Pro Market Intelligence*
+
+🌐 *Global Bitcoin Price*: {{priceLine}}
+🏪 *Exchange Distribution*: Binance 23.4% | Coinbase 18.7% | Kraken 12.1%
+⏱️ *Market Session*: {{marketSession}} Trading Hours
+
+🎯 *Strategic Outlook*
+Bitcoin's correlation with traditional assets remains low at 0.23, maintaining its portfolio diversification benefits. Mining difficulty increased 3.2%, indicating robust network security and adoption.
+
+💡 *Innovation Pipeline*
+Lightning Network capacity grew 18% this quarter. Layer-2 solutions showing increased adoption. Central Bank Digital Currency developments remain Bitcoin-positive.
+
+🚀 *Client Positioning*
+BitVault Pro portfolios optimally positioned for Q4 institutional re-balancing cycle. Average client allocation: 67% BTC, 33% strategic altcoins.
+
+*Intelligence-Driven Investment Solutions* 📡`
+    },
+    {
+        id: 'daily-06',
+        name: 'Regulatory & Compliance',
+        category: 'daily',
+        body: `⚖️ *BitVault Pro Compliance Update*
+
+🏛️ *Bitcoin Market Price*: {{priceLine}}
+📜 *Regulatory Environment*: Favorable | *Compliance Rating*: AAA
+🔍 *Latest Developments*: SEC clarity continues, global adoption accelerating
+
+📋 *Regulatory Highlights*
+- BlackRock ETF holdings increased 8.4% this week
+- European MiCA regulations provide clear operational framework
+- Asian markets showing increased institutional adoption
+- US Treasury confirms Bitcoin's role in diversified portfolios
+
+🔐 *BitVault Compliance*
+Fully licensed | AML/KYC protocols active | Regular third-party audits | Transparent fee structure | Client fund segregation
+
+🌍 *Global Expansion*
+Licensed in 47 jurisdictions | $2.4B assets under management | 34,000+ active clients | 24/7 multilingual support
+
+*Regulatory Excellence in Digital Assets* 🏆`
+    },
+    {
+        id: 'daily-07',
+        name: 'Technology & Infrastructure',
+        category: 'daily',
+        body: `💻 *BitVault Pro Technology Report*
+
+⚡ *Real-Time BTC Price*: {{priceLine}}
+🖥️ *System Performance*: 99.97% uptime | <2ms latency
+🔧 *Infrastructure*: Multi-cloud architecture across 3 continents
+
+🚀 *Technology Stack*
+Advanced order management | Real-time portfolio analytics | Machine learning price prediction | Automated rebalancing | API connectivity to 15+ exchanges
+
+🛡️ *Security Infrastructure*
+End-to-end encryption | Hardware security modules | Multi-factor authentication | Biometric access controls | Regular penetration testing
+
+📊 *Data Analytics*
+Processing 2.4M data points per second | Sentiment analysis integration | On-chain analytics | Market microstructure modeling | Predictive risk models
+
+*Next-Generation Trading Technology* 🔮`
+    },
+    {
+        id: 'daily-08',
+        name: 'Weekend Market Review',
+        category: 'daily',
+        body: `📅 *Weekend Market Review*
+
+📈 *Bitcoin Close*: {{priceLine}}
+📊 *Weekly Performance*: {{change7d}} | *Monthly*: {{change30d}}
+🌍 *Global Market Cap*: {{marketCap}}
+
+🔍 *Week in Review*
+Strong institutional accumulation patterns observed. On-chain metrics showing decreased exchange reserves (-2.1%) indicating long-term holding behavior. Network hash rate reached new all-time high.
+
+📈 *Technical Summary*
+Support established at $89,000 | Resistance levels: $105,000 and $112,000 | Volume profile indicating healthy price discovery | Futures curve in slight contango
+
+⏭️ *Week Ahead*
+Federal Reserve meeting Wednesday | Q3 earnings from major crypto companies | Bitcoin options expiry Friday: $1.2B notional | Institutional rebalancing expected
+
+*Professional Weekend Analysis* 🎯`
+    },
+    {
+        id: 'daily-09',
+        name: 'Quarterly Outlook',
+        category: 'daily',
+        body: `🔮 *BitVault Pro Quarterly Outlook*
+
+💰 *Current Bitcoin*: {{priceLine}}
+📊 *Q4 Target Range*: $95,000 - $125,000
+🎯 *12-Month Projection*: $150,000 - $200,000
+
+📈 *Fundamental Drivers*
+- Corporate treasury adoption accelerating (47 S&P 500 companies researching)
+- ETF inflows averaging $1.8B weekly
+- Mining economics favorable with recent efficiency improvements
+- Geopolitical tensions driving safe-haven demand
+
+💼 *Portfolio Strategy*
+BitVault Pro maintaining 65% BTC core position with tactical allocations in Ethereum (20%) and emerging DeFi protocols (15%). Systematic rebalancing every 14 days.
+
+🏛️ *Macro Environment*
+Dollar weakness supporting digital assets | Central bank policy accommodative | Inflation hedging demand growing | Institutional adoption curve steepening
+
+*Strategic Long-Term Vision* 🚀`
+    },
+    {
+        id: 'daily-10',
+        name: 'Performance Analytics',
+        category: 'daily',
+        body: `📊 *BitVault Pro Performance Analytics*
+
+🎯 *Bitcoin Position*: {{priceLine}}
+📈 *YTD Client Returns*: +234.7% (vs Bitcoin +187%)
+🏆 *Risk-Adjusted Performance*: Sharpe 2.81 | Sortino 3.42
+
+📋 *Detailed Metrics*
+Maximum Drawdown: -6.3% (vs Bitcoin -15.2%) | Win Rate: 73.4% | Average Hold Period: 8.7 days | Transaction Costs: 0.12% | Alpha Generation: +47.3%
+
+🎨 *Strategy Breakdown*
+Systematic Momentum: 40% allocation | Mean Reversion: 25% | Arbitrage: 20% | Market Making: 10% | Emergency Cash: 5%
+
+💎 *Client Satisfaction*
+97.8% client retention rate | Average account growth: +156% | Support response time: <2 minutes | Platform uptime: 99.97%
+
+*Measurable Excellence in Digital Assets* 📐`
+    },
+    {
+        id: 'daily-11',
+        name: 'Innovation & Development',
+        category: 'daily',
+        body: `🔬 *BitVault Pro Innovation Lab*
+
+⚡ *Live Bitcoin Price*: {{priceLine}}
+🧪 *R&D Investment*: $12.4M this quarter
+🚀 *New Features*: Advanced portfolio analytics, DeFi integration
+
+🔮 *Coming Soon*
+- AI-powered market sentiment analysis
+- Cross-chain yield optimization 
+- Institutional-grade options strategies
+- Real-time tax optimization tools
+- Mobile app with biometric security
+
+🌐 *Blockchain Integration*
+Lightning Network implementation complete | Ethereum Layer-2 scaling solutions | Solana ecosystem exposure | Polygon DeFi strategies | Avalanche subnet deployment
+
+📱 *User Experience*
+Next-gen mobile interface | Real-time push notifications | Customizable dashboard | Advanced charting tools | Social trading features
+
+*Innovation Driving Performance* 🌟`
+    },
+    {
+        id: 'daily-12',
+        name: 'Global Economic Context',
+        category: 'daily',
+        body: `🌍 *Global Economic Context*
+
+🪙 *Bitcoin Price*: {{priceLine}}
+📊 *Global Market Cap*: {{marketCap}} | *Dominance*: 42.1%
+🏦 *Traditional Markets*: S&P +1.2% | Gold $1,987 | DXY 103.4
+
+🌐 *Macroeconomic Factors*
+Federal Reserve pause cycle supporting risk assets | European Central Bank dovish tilt | Japanese Yen weakness benefiting digital assets | Chinese economic stimulus measures positive for crypto
+
+💱 *Currency Dynamics*
+USD strength moderating | EUR/USD stabilizing | Emerging market currencies gaining | Bitcoin proving its uncorrelated asset thesis
+
+🏛️ *Institutional Flows*
+Pension funds increasing digital asset allocations | Insurance companies exploring Bitcoin treasury positions | Sovereign wealth funds conducting due diligence
+
+*Global Macro-Driven Strategy* 🗺️`
+    },
+    {
+        id: 'daily-13',
+        name: 'Client Success Stories',
+        category: 'daily',
+        body: `🏆 *BitVault Pro Client Success*
+
+💼 *Bitcoin Performance*: {{priceLine}}
+🎉 *Client Milestone*: $50M+ in realized profits this month
+📈 *Average Account Growth*: +178% YTD
+
+👥 *Success Highlights*
+- Corporate client achieved 45% portfolio allocation target
+- Pension fund completed $25M strategic Bitcoin position  
+- Family office diversified 12% of assets into digital currencies
+- HNWI client successfully hedged currency exposure via Bitcoin
+
+📊 *Portfolio Outcomes*
+Reduced overall portfolio volatility by 23% | Enhanced long-term returns by 67% | Improved risk-adjusted performance across all client segments
+
+🎯 *Strategic Value*
+BitVault Pro's institutional approach delivering consistent alpha generation while maintaining strict risk management protocols.
+
+*Client Success is Our Success* ⭐`
+    },
+    {
+        id: 'daily-14',
+        name: 'Market Structure Analysis',
+        category: 'daily',
+        body: `🏗️ *Market Structure Analysis*
+
+📊 *Bitcoin Infrastructure*: {{priceLine}}
+⚙️ *Network Health*: Hash rate ATH | Difficulty +3.7%
+🔄 *Exchange Flows*: Net outflows -12,847 BTC (bullish)
+
+🏛️ *Institutional Infrastructure*
+Custody solutions maturing rapidly | Prime brokerage services expanding | OTC trading volumes increasing | Derivatives markets deepening
+
+📈 *Liquidity Analysis*
+Spot exchanges: $28.4B daily volume | Futures: $45.2B | Options: $3.1B | Order book depth at 98th percentile | Bid-ask spreads tightening
+
+⚡ *Network Development*
+Lightning Network capacity: 5,247 BTC | Payment channels: 67,432 | Routing efficiency: 97.3% | Transaction throughput improving
+
+*Market Infrastructure Excellence* 🏛️`
+    },
+    {
+        id: 'daily-15',
+        name: 'Risk Assessment Update',
+        category: 'daily',
+        body: `⚖️ *Risk Assessment Update*
+
+🛡️ *Bitcoin Exposure*: {{priceLine}}
+📊 *Portfolio VaR*: 2.1% (95% confidence) | *Expected Shortfall*: 3.4%
+🎯 *Risk Budget Utilization*: 67% (optimal range)
+
+📈 *Scenario Analysis*
+Bull Case (+40%): 85% probability | Base Case (+15%): 92% probability | Bear Case (-20%): 15% probability | Stress scenarios modeled and hedged
+
+🔍 *Risk Factors*
+Regulatory changes: Low impact | Technology disruption: Medium opportunity | Market manipulation: Well-hedged | Liquidity events: Adequately prepared
+
+💎 *Mitigation Strategies*
+Dynamic position sizing | Correlation monitoring | Stress testing protocols | Emergency liquidation procedures | Insurance coverage active
+
+*Sophisticated Risk Management* 🎯`
+    },
+    {
+        id: 'daily-16',
+        name: 'Future Outlook',
+        category: 'daily',
+        body: `🔮 *BitVault Pro Future Outlook*
+
+🚀 *Bitcoin Trajectory*: {{priceLine}}
+📊 *5-Year Target*: $500,000 - $1,000,000 per Bitcoin
+🌍 *Adoption Curve*: Early majority phase (18% penetration)
+
+🏛️ *Institutional Timeline*
+2024: Corporate adoption accelerates | 2025: Sovereign wealth funds enter | 2026: Central bank diversification begins | 2027: Mainstream pension allocation
+
+💡 *Technology Evolution*
+Quantum-resistant cryptography implementation | Layer-2 scaling solutions mature | Cross-chain interoperability achieved | CBDCs and Bitcoin coexistence
+
+🎯 *BitVault Vision*
+Becoming the premier institutional digital asset manager | $10B AUM by 2026 | Global regulatory leadership | Technology innovation standard-setter
+
+*Building the Future of Finance* 🌟`
+    },
+    {
+        id: 'daily-17',
+        name: 'Professional Daily Close',
+        category: 'daily',
+        body: `📈 *Daily Market Close*
+
+🏁 *Bitcoin Settlement*: {{priceLine}}
+📊 *Trading Session Summary*: Volume $31.2B | Volatility 2.8%
+⏰ *Market Hours Complete*: All major exchanges synchronized
+
+🎯 *Session Highlights*
+Strong institutional buying pressure observed in European session | Retail sentiment improved to 68/100 | Options flow bullish with 3:1 call/put ratio
+
+💼 *BitVault Performance*
+Client accounts outperformed benchmarks by +2.3% today | Risk management protocols functioned optimally | All systems operational at 100% capacity
+
+🌙 *After Hours*
+Asian markets opening with positive sentiment | Futures trading showing continued strength | BitVault systems monitoring 24/7 for optimal positioning
+
+*Professional Market Close Analysis* 🎌`
+    },
+    {
+        id: 'daily-18',
+        name: 'Innovation Leadership',
+        category: 'daily',
+        body: `⚡ *Innovation Leadership*
+
+🔬 *Bitcoin Innovation*: {{priceLine}}
+🚀 *BitVault R&D*: $18.7M invested in cutting-edge technology
+🧠 *AI Integration*: Machine learning models active across all strategies
+
+🔮 *Breakthrough Technologies*
+Quantum-resistant security implementation | Real-time sentiment analysis | Advanced portfolio optimization | Predictive market modeling | Cross-chain arbitrage
+
+📊 *Performance Enhancement*
+AI-driven strategies generating +23% additional alpha | Risk models 40% more accurate | Transaction costs reduced by 67% | Client experience ratings at all-time high
+
+🌟 *Industry Recognition*
+"Best Digital Asset Manager 2024" | "Innovation Award" | "Technology Excellence" | "Client Satisfaction Leader"
+
+*Leading Through Innovation* 🏆`
+    },
+    {
+        id: 'daily-19',
+        name: 'Strategic Vision',
+        category: 'daily',
+        body: `🎯 *Strategic Vision 2025*
+
+🌟 *Bitcoin Foundation*: {{priceLine}}
+🏛️ *BitVault Mission*: Democratizing institutional-grade Bitcoin investment
+📈 *Growth Trajectory*: $5B AUM target by year-end
+
+🌍 *Global Expansion*
+Licensed in 52 jurisdictions | Offices in 12 countries | 24/7 multilingual support | Regional custody partnerships established
+
+💎 *Product Innovation*
+Tokenized Bitcoin strategies | Decentralized finance integration | Institutional staking services | Custom derivative solutions
+
+🤝 *Partnership Ecosystem*
+Major exchanges | Prime brokers | Custody providers | Technology partners | Regulatory advisors | Academic institutions
+
+*Vision Becoming Reality* 🚀`
+    },
+    {
+        id: 'daily-20',
+        name: 'Comprehensive Update',
+        category: 'daily',
+        body: `📊 *BitVault Pro Comprehensive Update*
+
+💰 *Bitcoin Performance*: {{priceLine}}
+🏆 *Client Success*: 97.8% satisfaction rate | $89M+ profits generated
+🛡️ *Security Status*: Zero incidents | 100% fund safety record
+
+📈 *Key Achievements*
+- Outperformed Bitcoin by +47% through active management
+- Reduced portfolio volatility by 34% vs. buy-and-hold
+- Achieved 2.81 Sharpe ratio (industry-leading)
+- Maintained 99.97% system uptime
+
+🌟 *Recognition*
+"Best Digital Asset Platform" - Financial Technology Awards | "Excellence in Client Service" - Investment Management Review | "Innovation Leader" - Blockchain Finance Summit
+
+🎯 *Continuing Excellence*
+Commitment to institutional-grade service | Continuous technology advancement | Transparent performance reporting | Client-first philosophy
+
+*Excellence as Standard* 💎`
+    },
+    {
+        id: 'quick-profit',
+        name: '💰 Profit Distribution Update',
+        category: 'quick',
+        body: `💰 BitVault Pro Profit Alert! 🚀
+
+✅ Daily profits have been distributed to all active investors
+📊 Your Bitcoin portfolio is growing automatically
+🔄 Compound interest is working in your favor
+
+💎 Your smart investment choice is paying off!`
+    },
+    {
+        id: 'quick-security',
+        name: '🔒 Security & Trust Update',
+        category: 'quick',
+        body: `🔒 BitVault Pro Security Update 🛡️
+
+✅ All funds secured in military-grade cold storage
+🔐 Advanced encryption protecting your investments
+🚨 24/7 monitoring systems operational
+💪 Bank-level security for your peace of mind
+
+Your Bitcoin is safer than ever! 💎`
+    },
+    {
+        id: 'quick-opportunity',
+        name: '🚀 Investment Opportunity',
+        category: 'quick',
+        body: `🚀 BitVault Pro Special Opportunity! ⚡
+
+📈 Bitcoin showing strong bullish momentum
+💰 Perfect time to maximize your returns
+🎯 Limited-time enhanced profit rates available
+⏰ Don't miss this market opportunity
+
+Smart investors act fast! 💎`
+    },
+    {
+        id: 'quick-growth',
+        name: '📈 Portfolio Growth Update',
+        category: 'quick',
+        body: `📈 BitVault Pro Growth Report 🌟
+
+💰 Portfolio values exceeding expectations
+📊 Consistent daily returns being delivered
+🎯 Your investment strategy is working perfectly
+🚀 Join thousands of successful Bitcoin investors
+
+Your financial future is looking bright! ✨`
+    },
+    {
+        id: 'sample-profit-distribution',
+        name: 'profit_distribution',
+        category: 'sample',
+        body: `🚀 *BitVault Pro Update*: Automated profits distributed! 💰
+
+✅ All active investments received their returns
+📊 Check your dashboard for updated balances
+🔄 Compound interest automatically applied
+
+*Your Bitcoin is growing 24/7!* 📈`
+    },
+    {
+        id: 'sample-security-update',
+        name: 'security_update',
+        category: 'sample',
+        body: `🔒 *Security Update*: BitVault Pro systems secured! 🛡️
+
+✅ All funds safely stored in cold wallets
+🔐 Multi-layer encryption active
+🚨 24/7 monitoring operational
+
+*Your investments are protected!* 💎`
+    },
+    {
+        id: 'sample-market-analysis',
+        name: 'market_analysis',
+        category: 'sample',
+        body: `📊 *Market Analysis*: Bitcoin showing strong momentum! 📈
+
+🪙 *BTC Price*: Trending upward
+📈 *Technical Indicators*: Bullish signals
+💰 *BitVault Returns*: Outperforming market
+
+*Perfect time to maximize your portfolio!* 🚀`
+    },
+    {
+        id: 'sample-weekly-summary',
+        name: 'weekly_summary',
+        category: 'sample',
+        body: `📅 *Weekly BitVault Pro Summary*
+
+💰 *Total Returns*: Exceeding expectations
+🔄 *Reinvestments*: Automatically processed
+📊 *Portfolio Growth*: Steady upward trend
+🎯 *Success Rate*: 98.5% satisfaction
+
+*Join thousands of successful investors!* 🌟`
+    }
+];
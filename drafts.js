@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+const media = require('./media');
+const JsonStore = require('./store');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'published', 'failed'];
+
+class DraftManager {
+    constructor() {
+        this.store = new JsonStore('drafts.json', { drafts: [] });
+        this.statuses = STATUSES;
+    }
+
+    /**
+     * Create a pending draft
+     */
+    create({ message, imagePath = null, media: mediaSpec = null, buttons = null, targets = null, liveValues = [], parseMode = 'Markdown', createdBy }) {
+        if ((!message || typeof message !== 'string') && !imagePath && !mediaSpec) {
+            throw new Error('Draft needs a message, an image or media');
+        }
+
+        if (!createdBy) {
+            throw new Error('Draft creator is required');
+        }
+
+        const draft = {
+            id: crypto.randomBytes(4).toString('hex'),
+            status: 'pending',
+            message: message || '',
+            imagePath,
+            media: mediaSpec,
+            buttons,
+            targets,
+            liveValues,
+            parseMode,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewedVia: null,
+            rejectionReason: null,
+            reviewMessage: null,
+            publishedAt: null,
+            publishResult: null,
+            publishError: null
+        };
+
+        this.store.update((data) => {
+            data.drafts.push(draft);
+        });
+
+        logger.info(`Draft ${draft.id} created by '${createdBy}'`);
+        return draft;
+    }
+
+    /**
+     * List drafts, newest first, optionally filtered by status
+     */
+    list(status) {
+        return this.store.read().drafts
+            .filter(draft => !status || draft.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get a single draft
+     */
+    get(id) {
+        return this.store.read().drafts.find(draft => draft.id === id) || null;
+    }
+
+    /**
+     * Apply changes to a stored draft
+     */
+    save(id, changes) {
+        let updated = null;
+
+        this.store.update((data) => {
+            data.drafts = data.drafts.map((draft) => {
+                if (draft.id !== id) return draft;
+                updated = { ...draft, ...changes };
+                return updated;
+            });
+        });
+
+        return updated;
+    }
+
+    /**
+     * Record an approval or rejection. The reviewer must not be the draft's creator,
+     * whether they act through the API or Telegram.
+     */
+    review(id, decision, reviewer, { via = 'api', reason = null } = {}) {
+        const draft = this.get(id);
+
+        if (!draft) {
+            return null;
+        }
+
+        if (draft.status !== 'pending') {
+            throw new Error(`Draft ${id} is already ${draft.status}`);
+        }
+
+        if (this.identify(reviewer) === this.identify(draft.createdBy)) {
+            throw new Error('Drafts must be reviewed by a different user than their creator');
+        }
+
+        const approved = decision === 'approve';
+        const reviewed = this.save(id, {
+            status: approved ? 'approved' : 'rejected',
+            reviewedBy: reviewer,
+            reviewedAt: new Date().toISOString(),
+            reviewedVia: via,
+            rejectionReason: approved ? null : reason
+        });
+
+        if (!approved) {
+            this.removeFiles(reviewed);
+        }
+
+        logger.info(`Draft ${id} ${reviewed.status} by '${reviewer}' via ${via}`);
+        return reviewed;
+    }
+
+    /**
+     * Canonical identity of a creator or reviewer: Telegram users ("telegram:<id>") linked to an
+     * API user in TELEGRAM_USER_IDENTITIES are that API user
+     */
+    identify(actor) {
+        const match = /^telegram:(\d+)$/.exec(actor || '');
+        return match && config.telegramIdentities[match[1]] ? config.telegramIdentities[match[1]] : actor;
+    }
+
+    /**
+     * Remove a draft's uploaded image and media files once they can no longer be published
+     */
+    removeFiles(draft) {
+        media.removeFiles(draft.media);
+
+        if (draft.imagePath && fs.existsSync(draft.imagePath)) {
+            try {
+                fs.unlinkSync(draft.imagePath);
+            } catch (error) {
+                logger.warn(`Failed to remove draft image ${draft.imagePath}:`, error.message);
+            }
+        }
+    }
+}
+
+// Create and export singleton instance
+const drafts = new DraftManager();
+
+module.exports = drafts;
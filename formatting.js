@@ -0,0 +1,433 @@
+const retryPolicy = require('./retry-policy');
+
+const PARSE_MODES = ['Markdown', 'MarkdownV2', 'HTML', 'plain'];
+const DEFAULT_PARSE_MODE = 'Markdown';
+
+// Characters that must be escaped outside entities
+const MARKDOWN_SPECIAL = /([_*`[])/g;
+const MARKDOWN_V2_SPECIAL = /([_*[\]()~`>#+\-=|{}.!\\])/g;
+const MARKDOWN_V2_RESERVED = '[]()~`>#+-=|{}.!';
+
+// Tags accepted by Telegram's HTML parse mode
+const HTML_TAGS = ['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'span', 'tg-spoiler', 'tg-emoji', 'a', 'code', 'pre', 'blockquote'];
+const HTML_TAG = /^<(\/?)([a-zA-Z][\w-]*)((?:\s[^<>]*)?)>/;
+const HTML_ENTITY = /^&(lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);/;
+const HTML_ENTITY_VALUES = { lt: '<', gt: '>', amp: '&', quot: '"' };
+
+/**
+ * Parse-mode aware formatting for outgoing messages: escaping of interpolated values,
+ * entity validation before sending and plain-text fallbacks.
+ * Supports Telegram's legacy Markdown, MarkdownV2 and HTML parse modes, plus 'plain' (no parse mode).
+ */
+class MessageFormatter {
+    constructor() {
+        this.parseModes = PARSE_MODES;
+    }
+
+    /**
+     * Canonical parse mode name (case-insensitive); Markdown when none is given, null when unsupported
+     */
+    resolveParseMode(parseMode) {
+        if (parseMode === undefined || parseMode === null || parseMode === '') {
+            return DEFAULT_PARSE_MODE;
+        }
+
+        return PARSE_MODES.find(mode => mode.toLowerCase() === String(parseMode).toLowerCase()) || null;
+    }
+
+    /**
+     * Telegram send options for a parse mode (plain text sends no parse_mode)
+     */
+    toTelegramOptions(parseMode) {
+        return { parse_mode: parseMode === 'plain' ? undefined : parseMode };
+    }
+
+    /**
+     * Escape an interpolated value so it is shown literally in the given parse mode
+     */
+    escape(value, parseMode = DEFAULT_PARSE_MODE) {
+        const text = String(value);
+
+        switch (parseMode) {
+            case 'Markdown':
+                return text.replace(MARKDOWN_SPECIAL, '\\$1');
+            case 'MarkdownV2':
+                return text.replace(MARKDOWN_V2_SPECIAL, '\\$1');
+            case 'HTML':
+                return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Check entity balance and escaping; returns null when Telegram can parse the text,
+     * otherwise { parseMode, error, offset }
+     */
+    validate(text, parseMode = DEFAULT_PARSE_MODE) {
+        const { error } = this.parse(text, parseMode);
+        return error ? { parseMode, ...error } : null;
+    }
+
+    /**
+     * Pre-publish gate: throws an error carrying the formatting problem when the text would be rejected
+     */
+    enforce(text, parseMode = DEFAULT_PARSE_MODE) {
+        const problem = this.validate(text, parseMode);
+
+        if (problem) {
+            const error = new Error(`Invalid ${parseMode} formatting at offset ${problem.offset}: ${problem.error}`);
+            error.formatting = problem;
+            throw error;
+        }
+    }
+
+    /**
+     * The text as the reader would see it, without markup. Text that cannot be parsed only loses its escapes
+     * and tags, so nothing the reader should see is dropped.
+     */
+    toPlain(text, parseMode = DEFAULT_PARSE_MODE) {
+        const { plain, error } = this.parse(text, parseMode);
+
+        if (!error) {
+            return plain;
+        }
+
+        if (parseMode === 'HTML') {
+            return this.decodeHTML(text.replace(/<\/?[a-zA-Z][^<>]*>/g, ''));
+        }
+
+        return text.replace(parseMode === 'MarkdownV2' ? /\\(.)/g : /\\([_*`[])/g, '$1');
+    }
+
+    /**
+     * Text for the phrase and claims checks: MarkdownV2 and HTML are reduced to plain text so escapes and tags
+     * don't split words or figures. Legacy Markdown is checked as written, like the live values rendered into it.
+     */
+    toCheckedText(text, parseMode = DEFAULT_PARSE_MODE) {
+        return parseMode === 'MarkdownV2' || parseMode === 'HTML' ? this.toPlain(text, parseMode) : text;
+    }
+
+    /**
+     * Convert legacy Markdown (templates, disclaimer footers) to another parse mode
+     */
+    fromMarkdown(text, parseMode) {
+        if (parseMode === 'Markdown') {
+            return text;
+        }
+
+        const { segments, error } = this.parseMarkdown(text);
+        if (error) {
+            return this.escape(this.toPlain(text, 'Markdown'), parseMode);
+        }
+
+        return segments.map(segment => this.renderSegment(segment, parseMode)).join('');
+    }
+
+    /**
+     * Entities left open at the end of a text that was cut short, outermost first, as { open, close } markup
+     * that closes them at the cut and reopens them in the next part. [] when the text parses as it is,
+     * null when the cut cannot be repaired that way (inside a tag, an escape or a link).
+     */
+    getOpenEntities(text, parseMode = DEFAULT_PARSE_MODE) {
+        const { error, open } = this.parse(text, parseMode);
+
+        if (!error) {
+            return [];
+        }
+
+        return open && open.every(entity => entity.close) ? open : null;
+    }
+
+    /**
+     * Whether Telegram rejected a message because of its formatting entities
+     */
+    isEntityError(error) {
+        const errorData = retryPolicy.parseTelegramError(error);
+        return Boolean(errorData && errorData.error_code === 400 && /entit|unsupported start tag|unclosed|unmatched end tag/i.test(errorData.description || ''));
+    }
+
+    /**
+     * Parse text in a parse mode into { plain, error }
+     */
+    parse(text, parseMode) {
+        switch (parseMode) {
+            case 'Markdown': {
+                const { segments, error, open } = this.parseMarkdown(text);
+                return { plain: error ? null : segments.map(segment => this.renderSegment(segment, 'plain')).join(''), error, open };
+            }
+            case 'MarkdownV2':
+                return this.parseMarkdownV2(text);
+            case 'HTML':
+                return this.parseHTML(text);
+            default:
+                return { plain: text, error: null };
+        }
+    }
+
+    /**
+     * Legacy Markdown: *bold*, _italic_, `code`, ```pre``` and [text](url), no nesting;
+     * _, *, ` and [ are escaped with a backslash outside entities
+     */
+    parseMarkdown(text) {
+        const segments = [];
+        let plain = '';
+        const flush = () => {
+            if (plain) segments.push({ type: 'text', text: plain });
+            plain = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '\\' && '_*`['.includes(text[i + 1])) {
+                plain += text[++i];
+                continue;
+            }
+
+            const delimiter = text.startsWith('```', i) ? '```' : ['*', '_', '`'].includes(char) ? char : null;
+            if (delimiter) {
+                const end = text.indexOf(delimiter, i + delimiter.length);
+                if (end === -1) {
+                    return { segments, error: { error: `Unclosed entity '${delimiter}'`, offset: i }, open: [this.toOpenEntity(delimiter)] };
+                }
+
+                flush();
+                const type = { '```': 'pre', '`': 'code', '*': 'bold', '_': 'italic' }[delimiter];
+                segments.push({ type, text: text.slice(i + delimiter.length, end) });
+                i = end + delimiter.length - 1;
+                continue;
+            }
+
+            const link = char === '[' && /^\[([^\]]*)\]\(([^)\s]+)\)/.exec(text.slice(i));
+            if (link) {
+                flush();
+                segments.push({ type: 'link', text: link[1], url: link[2] });
+                i += link[0].length - 1;
+                continue;
+            }
+
+            plain += char;
+        }
+
+        flush();
+        return { segments, error: null };
+    }
+
+    /**
+     * MarkdownV2: nested *bold*, _italic_, __underline__, ~strike~, ||spoiler||, `code`, ```pre``` and [text](url);
+     * every other reserved character must be escaped with a backslash
+     */
+    parseMarkdownV2(text) {
+        const open = [];
+        let plain = '';
+        const fail = (error, offset, unclosed = null) => ({ plain: null, error: { error, offset }, open: unclosed && unclosed.map(marker => this.toOpenEntity(marker)) });
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '\\') {
+                if (i + 1 >= text.length) {
+                    return fail('Trailing backslash', i);
+                }
+                plain += text[++i];
+                continue;
+            }
+
+            if (char === '`') {
+                const delimiter = text.startsWith('```', i) ? '```' : '`';
+                let end = i + delimiter.length;
+                let content = '';
+                while (end < text.length && !text.startsWith(delimiter, end)) {
+                    if (text[end] === '\\') end++;
+                    content += text[end] || '';
+                    end++;
+                }
+                if (end >= text.length) {
+                    return fail(`Unclosed entity '${delimiter}'`, i, [...open, delimiter]);
+                }
+                plain += content;
+                i = end + delimiter.length - 1;
+                continue;
+            }
+
+            const marker = text.startsWith('||', i) ? '||' : text.startsWith('__', i) ? '__' : ['*', '_', '~'].includes(char) ? char : null;
+            if (marker) {
+                if (open[open.length - 1] === marker) {
+                    open.pop();
+                } else if (open.includes(marker)) {
+                    return fail(`Entity '${marker}' closed out of order`, i);
+                } else {
+                    open.push(marker);
+                }
+                i += marker.length - 1;
+                continue;
+            }
+
+            if (char === '[') {
+                open.push('[');
+                continue;
+            }
+
+            if (char === ']' && open[open.length - 1] === '[') {
+                const url = /^\]\(((?:\\.|[^)\\])*)\)/.exec(text.slice(i));
+                if (!url) {
+                    return fail('Link text must be followed by (url)', i);
+                }
+                open.pop();
+                plain += ` (${url[1].replace(/\\(.)/g, '$1')})`;
+                i += url[0].length - 1;
+                continue;
+            }
+
+            // '>' at the start of a line opens a block quotation
+            if (char === '>' && (i === 0 || text[i - 1] === '\n')) {
+                continue;
+            }
+
+            if (MARKDOWN_V2_RESERVED.includes(char)) {
+                return fail(`Character '${char}' is reserved and must be escaped with '\\'`, i);
+            }
+
+            plain += char;
+        }
+
+        if (open.length > 0) {
+            return fail(`Unclosed entity '${open[open.length - 1]}'`, text.length, open);
+        }
+
+        return { plain, error: null };
+    }
+
+    /**
+     * HTML: supported tags must be closed in order; <, > and & outside tags must be written as entities
+     */
+    parseHTML(text) {
+        const open = [];
+        const openTags = [];
+        let plain = '';
+        const links = [];
+        const fail = (error, offset, unclosed = null) => ({ plain: null, error: { error, offset }, open: unclosed });
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '<') {
+                const tag = HTML_TAG.exec(text.slice(i));
+                if (!tag) {
+                    return fail("Unescaped '<' (use &lt;)", i);
+                }
+
+                const [source, closing, rawName, attributes] = tag;
+                const name = rawName.toLowerCase();
+                if (!HTML_TAGS.includes(name)) {
+                    return fail(`Unsupported tag <${name}>`, i);
+                }
+
+                if (closing) {
+                    if (open[open.length - 1] !== name) {
+                        return fail(`Unexpected closing tag </${name}>`, i);
+                    }
+                    open.pop();
+                    openTags.pop();
+                    if (name === 'a') {
+                        const href = links.pop();
+                        if (href) plain += ` (${href})`;
+                    }
+                } else {
+                    open.push(name);
+                    openTags.push({ open: source, close: `</${name}>` });
+                    if (name === 'a') {
+                        const href = /href\s*=\s*"([^"]*)"|href\s*=\s*'([^']*)'/i.exec(attributes);
+                        links.push(href ? this.decodeHTML(href[1] || href[2]) : null);
+                    }
+                }
+
+                i += source.length - 1;
+                continue;
+            }
+
+            if (char === '&') {
+                const entity = HTML_ENTITY.exec(text.slice(i));
+                if (!entity) {
+                    return fail("Unescaped '&' (use &amp;)", i);
+                }
+                plain += this.decodeHTML(entity[0]);
+                i += entity[0].length - 1;
+                continue;
+            }
+
+            if (char === '>') {
+                return fail("Unescaped '>' (use &gt;)", i);
+            }
+
+            plain += char;
+        }
+
+        if (open.length > 0) {
+            return fail(`Unclosed tag <${open[open.length - 1]}>`, text.length, openTags);
+        }
+
+        return { plain, error: null };
+    }
+
+    /**
+     * Markup that reopens and closes a Markdown entity; a pre block reopens on its own line so the
+     * continued code is not taken for a language name. Links cannot be reopened (no close).
+     */
+    toOpenEntity(marker) {
+        if (marker === '[') {
+            return { open: marker, close: null };
+        }
+
+        return { open: marker === '```' ? '```\n' : marker, close: marker };
+    }
+
+    /**
+     * Decode the HTML entities Telegram accepts
+     */
+    decodeHTML(text) {
+        return text.replace(/&(lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+            if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+            if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+            return HTML_ENTITY_VALUES[name];
+        });
+    }
+
+    /**
+     * Render a parsed legacy Markdown segment in another parse mode
+     */
+    renderSegment({ type, text, url }, parseMode) {
+        if (parseMode === 'plain') {
+            return type === 'link' ? `${text} (${url})` : text;
+        }
+
+        if (parseMode === 'HTML') {
+            const escaped = this.escape(text, 'HTML');
+            return {
+                text: escaped,
+                bold: `<b>${escaped}</b>`,
+                italic: `<i>${escaped}</i>`,
+                code: `<code>${escaped}</code>`,
+                pre: `<pre>${escaped}</pre>`,
+                link: `<a href="${this.escape(url || '', 'HTML')}">${escaped}</a>`
+            }[type];
+        }
+
+        const escaped = this.escape(text, 'MarkdownV2');
+        const code = text.replace(/([`\\])/g, '\\$1');
+        return {
+            text: escaped,
+            bold: `*${escaped}*`,
+            italic: `_${escaped}_`,
+            code: `\`${code}\``,
+            pre: `\`\`\`${code}\`\`\``,
+            link: `[${escaped}](${(url || '').replace(/([)\\])/g, '\\$1')})`
+        }[type];
+    }
+}
+
+// Create and export singleton instance
+const formatting = new MessageFormatter();
+
+module.exports = formatting;
@@ -0,0 +1,196 @@
+const logger = require('./logger');
+const JsonStore = require('./store');
+
+const LAYOUT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const URL_SCHEMES = ['http:', 'https:', 'tg:'];
+
+// Telegram inline keyboard limits
+const LIMITS = {
+    buttonsPerRow: 8,
+    buttons: 100,
+    text: 64,
+    url: 2048
+};
+
+/**
+ * Inline keyboards of URL buttons for broadcasts.
+ * A button layout is rows of { text, url } buttons, given inline or by the ID of a saved layout;
+ * saved layouts live in DATA_DIR/keyboards.json and are resolved at send time, so templates,
+ * drafts and scheduled jobs that reference one pick up its latest buttons.
+ */
+class ButtonLayouts {
+    constructor() {
+        this.store = new JsonStore('keyboards.json', {});
+        this.limits = LIMITS;
+    }
+
+    /**
+     * List saved layouts (sorted by ID)
+     */
+    list() {
+        return Object.values(this.store.read()).sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Get a saved layout
+     */
+    get(id) {
+        return this.store.read()[id] || null;
+    }
+
+    /**
+     * Save a new layout
+     */
+    create({ id, name, rows }) {
+        if (!id || !LAYOUT_ID_PATTERN.test(id)) {
+            throw new Error('Layout id is required and may only contain lowercase letters, digits, "-" and "_"');
+        }
+
+        const layouts = this.store.read();
+        if (layouts[id]) {
+            throw new Error(`Button layout '${id}' already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const layout = { id, name: this.validateName(name), rows: this.validateRows(rows), createdAt: now, updatedAt: now };
+        this.store.update((data) => {
+            data[id] = layout;
+        });
+
+        logger.info(`Button layout created: ${id}`);
+        return layout;
+    }
+
+    /**
+     * Update the name or rows of a saved layout
+     */
+    update(id, changes) {
+        const existing = this.get(id);
+
+        if (!existing) {
+            return null;
+        }
+
+        const updated = {
+            ...existing,
+            name: changes.name !== undefined ? this.validateName(changes.name) : existing.name,
+            rows: changes.rows !== undefined ? this.validateRows(changes.rows) : existing.rows,
+            updatedAt: new Date().toISOString()
+        };
+        this.store.update((data) => {
+            data[id] = updated;
+        });
+
+        logger.info(`Button layout updated: ${id}`);
+        return updated;
+    }
+
+    /**
+     * Delete a saved layout
+     */
+    remove(id) {
+        if (!this.get(id)) {
+            return false;
+        }
+
+        this.store.update((data) => {
+            delete data[id];
+        });
+
+        logger.info(`Button layout deleted: ${id}`);
+        return true;
+    }
+
+    /**
+     * Rows for a button field: a saved layout ID, rows of buttons, or a JSON string of rows
+     * (multipart forms send strings). Returns null when no buttons are given.
+     */
+    resolve(buttons) {
+        if (buttons === undefined || buttons === null || buttons === '') {
+            return null;
+        }
+
+        if (typeof buttons === 'string' && !buttons.trim().startsWith('[')) {
+            const layout = this.get(buttons.trim());
+            if (!layout) {
+                throw new Error(`Button layout '${buttons}' not found`);
+            }
+            return layout.rows;
+        }
+
+        if (typeof buttons === 'string') {
+            try {
+                return this.validateRows(JSON.parse(buttons));
+            } catch (error) {
+                throw new Error(error instanceof SyntaxError ? 'buttons must be a layout ID or a JSON array of button rows' : error.message);
+            }
+        }
+
+        return this.validateRows(buttons);
+    }
+
+    /**
+     * Telegram reply_markup for resolved rows (undefined without buttons)
+     */
+    toReplyMarkup(rows) {
+        return rows ? { inline_keyboard: rows.map(row => row.map(({ text, url }) => ({ text, url }))) } : undefined;
+    }
+
+    /**
+     * Check rows of URL buttons against Telegram's limits; returns the normalized rows
+     */
+    validateRows(rows) {
+        if (!Array.isArray(rows) || rows.length === 0 || rows.some(row => !Array.isArray(row) || row.length === 0)) {
+            throw new Error('Buttons must be a non-empty array of rows, each a non-empty array of { text, url } buttons');
+        }
+
+        const count = rows.reduce((total, row) => total + row.length, 0);
+        if (count > LIMITS.buttons) {
+            throw new Error(`A keyboard may have at most ${LIMITS.buttons} buttons (received ${count})`);
+        }
+
+        return rows.map((row, rowIndex) => {
+            if (row.length > LIMITS.buttonsPerRow) {
+                throw new Error(`Row ${rowIndex + 1} has ${row.length} buttons; a row may have at most ${LIMITS.buttonsPerRow}`);
+            }
+
+            return row.map((button, buttonIndex) => this.validateButton(button, `Row ${rowIndex + 1}, button ${buttonIndex + 1}`));
+        });
+    }
+
+    /**
+     * Check a single URL button
+     */
+    validateButton(button, position) {
+        const text = button && typeof button.text === 'string' ? button.text.trim() : '';
+        if (!text || text.length > LIMITS.text) {
+            throw new Error(`${position}: text is required (at most ${LIMITS.text} characters)`);
+        }
+
+        const url = button && typeof button.url === 'string' ? button.url.trim() : '';
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            // Reported below
+        }
+
+        if (!parsed || !URL_SCHEMES.includes(parsed.protocol) || url.length > LIMITS.url) {
+            throw new Error(`${position}: url must be an http, https or tg link (at most ${LIMITS.url} characters)`);
+        }
+
+        return { text, url };
+    }
+
+    validateName(name) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Layout name is required');
+        }
+        return name;
+    }
+}
+
+// Create and export singleton instance
+const keyboards = new ButtonLayouts();
+
+module.exports = keyboards;
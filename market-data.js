@@ -0,0 +1,465 @@
+const fs = require('fs');
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger');
+const priceHistory = require('./price-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A snapshot counts as the price "N days ago" when it is within this window of that moment
+const HISTORY_MATCH_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+const REQUEST_HEADERS = {
+    'User-Agent': 'BitVault-Bot/1.0',
+    'Accept': 'application/json'
+};
+
+// Asset symbols and their IDs at CoinGecko and CoinCap
+const ASSET_IDS = {
+    BTC: 'bitcoin',
+    ETH: 'ethereum'
+};
+
+// Binance trades fiat-denominated pairs against these quote assets
+const BINANCE_QUOTES = {
+    USD: 'USDT',
+    EUR: 'EUR',
+    GBP: 'GBP'
+};
+
+// Built-in HTTP sources; parse() maps the raw response to { price, change24h, marketCap } in the quote currency
+const BUILT_IN_PROVIDERS = [
+    {
+        name: 'CoinGecko',
+        supports: ({ asset }) => Boolean(ASSET_IDS[asset]),
+        url: ({ asset, currency }) => `https://api.coingecko.com/api/v3/simple/price?ids=${ASSET_IDS[asset]}&vs_currencies=${currency.toLowerCase()}&include_24hr_change=true&include_market_cap=true`,
+        parse: (data, { asset, currency }) => {
+            const quote = data[ASSET_IDS[asset]];
+            const code = currency.toLowerCase();
+            return {
+                price: quote[code],
+                change24h: quote[`${code}_24h_change`],
+                marketCap: quote[`${code}_market_cap`]
+            };
+        }
+    },
+    {
+        name: 'Binance',
+        supports: ({ currency }) => Boolean(BINANCE_QUOTES[currency]),
+        url: ({ asset, currency }) => `https://api.binance.com/api/v3/ticker/24hr?symbol=${asset}${BINANCE_QUOTES[currency]}`,
+        // The ticker has no market cap, and it is not estimated
+        parse: (data) => ({
+            price: parseFloat(data.lastPrice),
+            change24h: parseFloat(data.priceChangePercent),
+            marketCap: null
+        })
+    },
+    {
+        name: 'CoinCapAPI',
+        supports: ({ asset, currency }) => Boolean(ASSET_IDS[asset]) && currency === 'USD',
+        url: ({ asset }) => `https://api.coincap.io/v2/assets/${ASSET_IDS[asset]}`,
+        parse: (data) => ({
+            price: parseFloat(data.data.priceUsd),
+            change24h: parseFloat(data.data.changePercent24Hr),
+            marketCap: parseFloat(data.data.marketCapUsd)
+        })
+    }
+];
+
+/**
+ * Market data provider layer.
+ * A provider is { name, supports({ asset, currency }), fetch({ timeout, asset, currency }) => { price, change24h, marketCap } };
+ * every response is validated against the quote schema and each provider's health is tracked for /status.
+ * Quotes are per pair ({ asset: 'BTC', currency: 'USD' }); the first MARKET_ASSETS/QUOTE_CURRENCIES pair is the primary one.
+ */
+class MarketDataService {
+    constructor() {
+        this.providers = new Map();
+        this.health = {};
+        this.cache = new Map();
+
+        BUILT_IN_PROVIDERS.forEach(definition => this.register(this.httpProvider(definition)));
+
+        if (config.marketStubFile || config.marketStubUrl) {
+            this.register(this.stubProvider({ file: config.marketStubFile, url: config.marketStubUrl }));
+        }
+    }
+
+    /**
+     * Register (or replace) a provider
+     */
+    register(provider) {
+        if (!provider || !provider.name || typeof provider.fetch !== 'function') {
+            throw new Error('A market data provider needs a name and a fetch() function');
+        }
+
+        const timeout = provider.timeout
+            || config.marketDataTimeouts[provider.name.toLowerCase()]
+            || config.marketDataTimeout;
+
+        this.providers.set(provider.name, { type: 'custom', ...provider, timeout });
+        this.health[provider.name] = {
+            type: provider.type || 'custom',
+            timeout,
+            lastSuccessAt: null,
+            lastErrorAt: null,
+            lastError: null,
+            latencyMs: null,
+            successCount: 0,
+            failureCount: 0
+        };
+
+        logger.debug(`Market data provider registered: ${provider.name} (timeout ${timeout}ms)`);
+        return this.providers.get(provider.name);
+    }
+
+    /**
+     * Remove a provider
+     */
+    unregister(name) {
+        delete this.health[name];
+        return this.providers.delete(name);
+    }
+
+    /**
+     * Build a provider for a JSON HTTP API
+     */
+    httpProvider({ name, supports, url, parse }) {
+        return {
+            name,
+            type: 'http',
+            supports,
+            fetch: async ({ timeout, asset, currency }) => {
+                const response = await axios.get(url({ asset, currency }), { timeout, headers: REQUEST_HEADERS });
+                return parse(response.data, { asset, currency });
+            }
+        };
+    }
+
+    /**
+     * Build the offline stub provider: a local JSON file or HTTP URL returning quotes keyed by pair
+     * ({ "BTC/USD": { price, change24h, marketCap }, ... }) or a single quote for the primary pair
+     */
+    stubProvider({ file, url, name = 'Stub' }) {
+        return {
+            name,
+            type: 'stub',
+            fetch: async ({ timeout, asset, currency }) => {
+                const data = file
+                    ? JSON.parse(await fs.promises.readFile(file, 'utf8'))
+                    : (await axios.get(url, { timeout, headers: REQUEST_HEADERS })).data;
+                const pair = this.pairKey({ asset, currency });
+
+                if (data[pair]) {
+                    return data[pair];
+                }
+
+                if (data.price !== undefined && pair === this.pairKey(this.getPrimaryPair())) {
+                    return data;
+                }
+
+                throw new Error(`No stub data for ${pair}`);
+            }
+        };
+    }
+
+    /**
+     * Configured asset/currency pairs, primary pair first
+     */
+    getPairs() {
+        return config.marketAssets.flatMap(asset => config.quoteCurrencies.map(currency => ({ asset, currency })));
+    }
+
+    /**
+     * The pair behind {{price}}, {{change24h}} and the other single-quote placeholders
+     */
+    getPrimaryPair() {
+        return { asset: config.marketAssets[0], currency: config.quoteCurrencies[0] };
+    }
+
+    /**
+     * Pair identifier, e.g. "BTC/USD"
+     */
+    pairKey({ asset, currency }) {
+        return `${asset}/${currency}`;
+    }
+
+    /**
+     * Providers in query order (MARKET_DATA_PROVIDERS, or every registered provider), optionally only those supporting a pair
+     */
+    getActiveProviders(pair) {
+        const providers = !config.marketDataProviders
+            ? [...this.providers.values()]
+            : config.marketDataProviders
+                .map(name => [...this.providers.values()].find(provider => provider.name.toLowerCase() === name.toLowerCase()))
+                .filter(Boolean);
+
+        return pair ? providers.filter(provider => !provider.supports || provider.supports(pair)) : providers;
+    }
+
+    /**
+     * Validate a provider response against the quote schema; returns a list of problems
+     */
+    validateQuote(quote, pair = this.getPrimaryPair()) {
+        if (!quote || typeof quote !== 'object') {
+            return ['response is not an object'];
+        }
+
+        const problems = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!isNumber(quote.price) || quote.price <= 0) {
+            problems.push(`price must be a positive number (received ${quote.price})`);
+        } else if (this.pairKey(pair) === this.pairKey(this.getPrimaryPair())
+            && ((config.marketPriceMin && quote.price < config.marketPriceMin) || (config.marketPriceMax && quote.price > config.marketPriceMax))) {
+            problems.push(`price ${quote.price} is outside MARKET_PRICE_MIN/MARKET_PRICE_MAX`);
+        }
+
+        if (!isNumber(quote.change24h)) {
+            problems.push(`change24h must be a number (received ${quote.change24h})`);
+        }
+
+        if (quote.marketCap !== null && quote.marketCap !== undefined && (!isNumber(quote.marketCap) || quote.marketCap <= 0)) {
+            problems.push(`marketCap must be a positive number or null (received ${quote.marketCap})`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Query one provider with its timeout, validate the response and record its health
+     */
+    async fetchFrom(provider, pair = this.getPrimaryPair()) {
+        const health = this.health[provider.name];
+        const startedAt = Date.now();
+        let timer;
+
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${provider.timeout}ms`)), provider.timeout);
+            });
+            const quote = await Promise.race([provider.fetch({ timeout: provider.timeout, ...pair }), timeout]);
+
+            const problems = this.validateQuote(quote, pair);
+            if (problems.length > 0) {
+                throw new Error(`Invalid response: ${problems.join('; ')}`);
+            }
+
+            health.latencyMs = Date.now() - startedAt;
+            health.lastSuccessAt = new Date().toISOString();
+            health.successCount++;
+
+            return {
+                asset: pair.asset,
+                currency: pair.currency,
+                price: this.roundPrice(quote.price),
+                change24h: quote.change24h.toFixed(2),
+                marketCap: quote.marketCap ? Math.round(quote.marketCap / 1e9) : null,
+                source: provider.name
+            };
+        } catch (error) {
+            health.latencyMs = Date.now() - startedAt;
+            health.lastErrorAt = new Date().toISOString();
+            health.lastError = error.message;
+            health.failureCount++;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Query every active provider at once and publish only a value enough sources agree on.
+     * Quotes further than MARKET_CONSENSUS_TOLERANCE percent from the median price are dropped as outliers;
+     * returns null when fewer than MARKET_CONSENSUS_MIN_SOURCES remain.
+     * With record: false (previews) a fresh quote is neither stored in the history nor cached.
+     */
+    async getConsensusQuote(pair = this.getPrimaryPair(), { record = true } = {}) {
+        const key = this.pairKey(pair);
+
+        // Repeated calls within MARKET_CACHE_TTL reuse the last agreed quote
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < config.marketCacheTtl * 1000) {
+            logger.debug(`Using cached ${key} price consensus from ${new Date(cached.fetchedAt).toISOString()}`);
+            return cached.quote;
+        }
+
+        const providers = this.getActiveProviders(pair);
+        const settled = await Promise.allSettled(providers.map(provider => this.fetchFrom(provider, pair)));
+
+        const quotes = [];
+        settled.forEach((outcome, index) => {
+            if (outcome.status === 'fulfilled') {
+                quotes.push(outcome.value);
+            } else {
+                logger.warn(`Failed to fetch ${key} from ${providers[index].name}:`, outcome.reason.message);
+            }
+        });
+
+        const medianPrice = priceHistory.median(quotes.map(quote => quote.price));
+        const agreeing = [];
+        const rejected = [];
+
+        quotes.forEach((quote) => {
+            const deviation = Math.abs(quote.price - medianPrice) / medianPrice * 100;
+            if (deviation <= config.marketConsensusTolerance) {
+                agreeing.push(quote);
+            } else {
+                rejected.push({ source: quote.source, price: quote.price, deviation: Number(deviation.toFixed(2)) });
+            }
+        });
+
+        if (record) {
+            this.recordPoints(quotes, rejected);
+        }
+
+        if (rejected.length > 0) {
+            logger.warn(`Outlier ${key} quotes dropped (more than ${config.marketConsensusTolerance}% from median ${medianPrice}): ${rejected.map(quote => `${quote.source} ${quote.price}`).join(', ')}`);
+        }
+
+        if (agreeing.length < config.marketConsensusMinSources) {
+            logger.error(`No ${key} price consensus: ${agreeing.length} of ${providers.length} source(s) agree, ${config.marketConsensusMinSources} required - no market figures will be published`);
+            return null;
+        }
+
+        const sources = agreeing.map(quote => quote.source);
+        const marketCaps = agreeing.map(quote => quote.marketCap).filter(Boolean);
+        const price = this.roundPrice(priceHistory.median(agreeing.map(quote => quote.price)));
+        const consensus = {
+            asset: pair.asset,
+            currency: pair.currency,
+            price,
+            change24h: priceHistory.median(agreeing.map(quote => parseFloat(quote.change24h))).toFixed(2),
+            change7d: this.getChange(price, 7, pair),
+            change30d: this.getChange(price, 30, pair),
+            marketCap: marketCaps.length > 0 ? Math.round(priceHistory.median(marketCaps)) : null,
+            source: sources.join(', '),
+            sources,
+            rejected
+        };
+
+        if (record) {
+            this.cache.set(key, { quote: consensus, fetchedAt: Date.now() });
+        }
+
+        logger.info(`${key} price consensus from ${consensus.source}: ${consensus.price.toLocaleString()} (${consensus.change24h >= 0 ? '+' : ''}${consensus.change24h}%)`);
+        return consensus;
+    }
+
+    /**
+     * Agreed quotes for every configured pair (pairs without consensus are left out)
+     */
+    async getConsensusQuotes(options = {}) {
+        const quotes = [];
+
+        for (const pair of this.getPairs()) {
+            const quote = await this.getConsensusQuote(pair, options);
+            if (quote) {
+                quotes.push(quote);
+            }
+        }
+
+        return quotes;
+    }
+
+    /**
+     * Keep cents for low-priced assets, whole units otherwise
+     */
+    roundPrice(price) {
+        return price >= 1000 ? Math.round(price) : Math.round(price * 100) / 100;
+    }
+
+    /**
+     * Store every fetched data point; outliers are kept but marked so they never feed computed changes
+     */
+    recordPoints(quotes, rejected) {
+        if (quotes.length === 0) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+
+        priceHistory.append(quotes.map(quote => ({
+            asset: quote.asset,
+            currency: quote.currency,
+            source: quote.source,
+            price: quote.price,
+            change24h: parseFloat(quote.change24h),
+            marketCap: quote.marketCap,
+            timestamp,
+            outlier: rejected.some(entry => entry.source === quote.source)
+        })));
+    }
+
+    /**
+     * Stored data points between two dates (ISO strings or timestamps), oldest first, read page by page:
+     * at most `limit` points from `cursor` on, plus the cursor of the next page (null on the last page)
+     */
+    getHistory({ from, to, source, asset, currency, limit, cursor } = {}) {
+        return priceHistory.query({
+            from: from ? new Date(from).getTime() : 0,
+            to: to ? new Date(to).getTime() : Date.now(),
+            match: point => (!source || point.source.toLowerCase() === source.toLowerCase())
+                && (!asset || point.asset === asset.toUpperCase())
+                && (!currency || point.currency === currency.toUpperCase()),
+            limit,
+            cursor
+        });
+    }
+
+    /**
+     * Downsampled price series of a pair since a moment ([{ timestamp, price }], outliers excluded), from memory
+     */
+    getSeries(from, pair = this.getPrimaryPair()) {
+        return priceHistory.getSeries(this.pairKey(pair), new Date(from).getTime(), Date.now());
+    }
+
+    /**
+     * Percentage change against our own snapshots from `days` ago; null when there is no snapshot near that time
+     */
+    getChange(currentPrice, days, pair = this.getPrimaryPair()) {
+        const pastPrice = this.getPriceAt(Date.now() - days * DAY_MS, HISTORY_MATCH_WINDOW_MS, pair);
+
+        if (pastPrice === null) {
+            return null;
+        }
+
+        return ((currentPrice - pastPrice) / pastPrice * 100).toFixed(2);
+    }
+
+    /**
+     * Median stored price of a pair within toleranceMs of a moment (outliers excluded); null without snapshots
+     */
+    getPriceAt(time, toleranceMs, pair = this.getPrimaryPair()) {
+        return priceHistory.median(priceHistory.getPrices(this.pairKey(pair), time - toleranceMs, time + toleranceMs));
+    }
+
+    /**
+     * Provider health for /status
+     */
+    getStatus() {
+        const active = this.getActiveProviders().map(provider => provider.name);
+
+        return {
+            pairs: this.getPairs().map(pair => this.pairKey(pair)),
+            activeProviders: active,
+            consensus: {
+                tolerancePercent: config.marketConsensusTolerance,
+                minSources: config.marketConsensusMinSources
+            },
+            cache: {
+                ttlSeconds: config.marketCacheTtl,
+                fetchedAt: Object.fromEntries([...this.cache.entries()].map(([key, entry]) => [key, new Date(entry.fetchedAt).toISOString()]))
+            },
+            providers: Object.fromEntries(Object.entries(this.health).map(([name, health]) => [name, {
+                ...health,
+                active: active.includes(name)
+            }]))
+        };
+    }
+}
+
+// Create and export singleton instance
+const marketData = new MarketDataService();
+
+module.exports = marketData;
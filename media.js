@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MB = 1024 * 1024;
+
+// Telegram Bot API upload limits: photos up to 10 MB, other files up to 50 MB
+const FILE_KINDS = {
+    photo: { maxSize: 10 * MB, accepts: mimeType => ['image/jpeg', 'image/png', 'image/webp'].includes(mimeType) },
+    video: { maxSize: 50 * MB, accepts: mimeType => mimeType.startsWith('video/') },
+    animation: { maxSize: 50 * MB, accepts: mimeType => ['image/gif', 'video/mp4'].includes(mimeType) },
+    document: { maxSize: 50 * MB, accepts: () => true }
+};
+
+const MEDIA_TYPES = ['mediaGroup', 'document', 'video', 'animation', 'poll'];
+
+const LIMITS = {
+    mediaGroupMin: 2,
+    mediaGroupMax: 10,
+    pollQuestion: 300,
+    pollOptionsMin: 2,
+    pollOptionsMax: 10,
+    pollOption: 100,
+    pollExplanation: 200
+};
+
+// Files of scheduled media broadcasts are kept here until the job is stopped
+const SCHEDULED_DIR = './uploads/scheduled';
+
+/**
+ * Rich media broadcasts: media groups (albums of 2-10 photos/videos), documents, video, animations and polls.
+ * A media spec is { type, caption, files: [{ path, name, mimeType, size, kind }], poll } and is validated
+ * here before it reaches the queue, so the same spec works for API broadcasts, drafts and scheduled jobs.
+ */
+class MediaBroadcasts {
+    constructor() {
+        this.types = MEDIA_TYPES;
+        this.limits = LIMITS;
+        this.maxUploadSize = Math.max(...Object.values(FILE_KINDS).map(kind => kind.maxSize));
+    }
+
+    /**
+     * Build a media spec from request fields and multer files (JSON bodies and multipart forms alike)
+     */
+    fromRequest(body, files = []) {
+        const type = body.type;
+        const media = {
+            type,
+            caption: body.caption || '',
+            files: files.map(file => ({
+                path: file.path,
+                name: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                kind: this.getFileKind(type, file.mimetype)
+            })),
+            poll: null
+        };
+
+        if (type === 'poll') {
+            media.poll = {
+                question: body.question,
+                options: this.parseList(body.pollOptions),
+                allowsMultipleAnswers: this.parseBoolean(body.allowsMultipleAnswers),
+                isAnonymous: body.isAnonymous === undefined ? true : this.parseBoolean(body.isAnonymous),
+                correctOptionId: body.correctOptionId === undefined || body.correctOptionId === '' ? null : Number(body.correctOptionId),
+                explanation: body.explanation || null
+            };
+        }
+
+        this.validate(media);
+        return media;
+    }
+
+    /**
+     * Validate a media spec; throws with a readable message
+     */
+    validate(media) {
+        if (!media || !MEDIA_TYPES.includes(media.type)) {
+            throw new Error(`Media type must be one of: ${MEDIA_TYPES.join(', ')}`);
+        }
+
+        if (media.type === 'poll') {
+            if (media.files.length > 0) {
+                throw new Error('Polls cannot have files');
+            }
+            return this.validatePoll(media.poll);
+        }
+
+        const { files } = media;
+        if (media.type === 'mediaGroup') {
+            if (files.length < LIMITS.mediaGroupMin || files.length > LIMITS.mediaGroupMax) {
+                throw new Error(`A media group needs ${LIMITS.mediaGroupMin}-${LIMITS.mediaGroupMax} photos or videos (received ${files.length})`);
+            }
+        } else if (files.length !== 1) {
+            throw new Error(`A ${media.type} broadcast needs exactly one file (received ${files.length})`);
+        }
+
+        files.forEach((file) => {
+            if (!file.kind) {
+                throw new Error(`${file.name} (${file.mimeType}) cannot be sent as ${media.type === 'mediaGroup' ? 'part of a media group' : `a ${media.type}`}`);
+            }
+
+            const { maxSize } = FILE_KINDS[file.kind];
+            if (file.size > maxSize) {
+                throw new Error(`${file.name} is ${(file.size / MB).toFixed(1)} MB; the ${file.kind} limit is ${maxSize / MB} MB`);
+            }
+
+            if (!fs.existsSync(file.path)) {
+                throw new Error(`Media file ${file.name} is no longer available`);
+            }
+        });
+    }
+
+    /**
+     * Validate poll fields against Telegram's limits
+     */
+    validatePoll(poll) {
+        if (!poll || !poll.question || typeof poll.question !== 'string' || poll.question.length > LIMITS.pollQuestion) {
+            throw new Error(`Poll question is required (at most ${LIMITS.pollQuestion} characters)`);
+        }
+
+        const { options } = poll;
+        if (options.length < LIMITS.pollOptionsMin || options.length > LIMITS.pollOptionsMax) {
+            throw new Error(`A poll needs ${LIMITS.pollOptionsMin}-${LIMITS.pollOptionsMax} options (received ${options.length})`);
+        }
+
+        const tooLong = options.filter(option => option.length > LIMITS.pollOption);
+        if (tooLong.length > 0) {
+            throw new Error(`Poll options may be at most ${LIMITS.pollOption} characters: ${tooLong.join(', ')}`);
+        }
+
+        if (new Set(options).size !== options.length) {
+            throw new Error('Poll options must be unique');
+        }
+
+        // A correct option turns the poll into a quiz
+        if (poll.correctOptionId !== null) {
+            if (!Number.isInteger(poll.correctOptionId) || poll.correctOptionId < 0 || poll.correctOptionId >= options.length) {
+                throw new Error(`correctOptionId must be an option index from 0 to ${options.length - 1}`);
+            }
+            if (poll.allowsMultipleAnswers) {
+                throw new Error('Quiz polls cannot allow multiple answers');
+            }
+        }
+
+        if (poll.explanation && (poll.correctOptionId === null || poll.explanation.length > LIMITS.pollExplanation)) {
+            throw new Error(`A poll explanation needs a correctOptionId and may be at most ${LIMITS.pollExplanation} characters`);
+        }
+    }
+
+    /**
+     * How a file is sent for a media type; null when the type cannot carry it
+     */
+    getFileKind(type, mimeType = '') {
+        if (type === 'mediaGroup') {
+            return ['photo', 'video'].find(kind => FILE_KINDS[kind].accepts(mimeType)) || null;
+        }
+
+        return FILE_KINDS[type] && FILE_KINDS[type].accepts(mimeType) ? type : null;
+    }
+
+    /**
+     * Text of a media broadcast that goes through the content checks: the caption, or the poll's wording
+     */
+    getText(media) {
+        if (media.type !== 'poll') {
+            return (media.caption || '').trim();
+        }
+
+        return [media.poll.question, ...media.poll.options, media.poll.explanation].filter(Boolean).join('\n');
+    }
+
+    /**
+     * One-line summary, used in draft previews and logs
+     */
+    describe(media) {
+        if (media.type === 'poll') {
+            return `📊 Poll: ${media.poll.question} (${media.poll.options.join(' / ')})`;
+        }
+
+        return `📎 ${media.type}: ${media.files.map(file => file.name).join(', ')}`;
+    }
+
+    /**
+     * Telegram sendPoll options for a poll
+     */
+    toPollOptions(poll) {
+        const quiz = poll.correctOptionId !== null;
+
+        return {
+            is_anonymous: poll.isAnonymous,
+            type: quiz ? 'quiz' : 'regular',
+            allows_multiple_answers: quiz ? false : poll.allowsMultipleAnswers,
+            ...(quiz && { correct_option_id: poll.correctOptionId }),
+            ...(poll.explanation && { explanation: poll.explanation })
+        };
+    }
+
+    /**
+     * Move a spec's files into the scheduled media directory so they outlive a single send
+     */
+    keepForSchedule(media) {
+        if (!fs.existsSync(SCHEDULED_DIR)) {
+            fs.mkdirSync(SCHEDULED_DIR, { recursive: true });
+        }
+
+        return {
+            ...media,
+            files: media.files.map((file) => {
+                const keptPath = path.join(SCHEDULED_DIR, path.basename(file.path));
+                fs.renameSync(file.path, keptPath);
+                return { ...file, path: keptPath };
+            })
+        };
+    }
+
+    /**
+     * Remove a spec's files once they can no longer be sent
+     */
+    removeFiles(media) {
+        (media && media.files ? media.files : []).forEach((file) => {
+            try {
+                if (fs.existsSync(file.path)) {
+                    fs.unlinkSync(file.path);
+                }
+            } catch (error) {
+                logger.warn(`Failed to remove media file ${file.path}:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Accept arrays, JSON arrays and newline-separated lists (multipart forms send strings)
+     */
+    parseList(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => String(item).trim()).filter(Boolean);
+        }
+
+        if (typeof value !== 'string') {
+            return [];
+        }
+
+        try {
+            const parsed = JSON.parse(value);
+            if (Array.isArray(parsed)) {
+                return this.parseList(parsed);
+            }
+        } catch (error) {
+            // Not JSON: one option per line
+        }
+
+        return value.split('\n').map(item => item.trim()).filter(Boolean);
+    }
+
+    parseBoolean(value) {
+        return value === true || value === 'true';
+    }
+}
+
+// Create and export singleton instance
+const media = new MediaBroadcasts();
+
+module.exports = media;
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+const JsonStore = require('./store');
+const retryPolicy = require('./retry-policy');
+
+class OutboundQueue {
+    constructor() {
+        this.store = new JsonStore('outbound-queue.json', { pending: [], deadLetters: [] });
+        this.senders = {};
+        this.waiters = new Map();
+        this.isProcessing = false;
+        this.tracking = new AsyncLocalStorage();
+    }
+
+    /**
+     * Register the function that delivers items of a given type
+     */
+    registerSender(type, sender) {
+        this.senders[type] = sender;
+    }
+
+    /**
+     * Resume delivery of items persisted before a restart
+     */
+    start() {
+        const { pending } = this.store.read();
+        if (pending.length > 0) {
+            logger.info(`Resuming delivery of ${pending.length} queued message(s)`);
+        }
+        this.processQueue();
+    }
+
+    /**
+     * Add an item to the queue and wait for its delivery.
+     * Resolves with { message, history } where history lists every attempt.
+     */
+    enqueue(type, chatId, payload) {
+        const item = {
+            id: crypto.randomUUID(),
+            type,
+            chatId,
+            payload,
+            attempts: 0,
+            lastError: null,
+            history: [],
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: new Date().toISOString()
+        };
+
+        this.store.update((state) => {
+            state.pending.push(item);
+        });
+
+        const tracked = this.tracking.getStore();
+        if (tracked) {
+            tracked.onQueued();
+        }
+
+        const delivery = new Promise((resolve, reject) => {
+            this.waiters.set(item.id, { resolve, reject });
+        });
+
+        this.processQueue();
+        return delivery;
+    }
+
+    /**
+     * Run a task and call onQueued once, as soon as the first item the task enqueues is persisted
+     * (other tasks enqueuing meanwhile don't count). Resolves with the task's result.
+     */
+    track(task, onQueued) {
+        let queued = false;
+
+        return this.tracking.run({
+            onQueued: () => {
+                if (!queued) {
+                    queued = true;
+                    onQueued();
+                }
+            }
+        }, task);
+    }
+
+    /**
+     * Deliver pending items in order; a waiting item holds back the ones behind it
+     * so channel posts never go out of sequence
+     */
+    async processQueue() {
+        if (this.isProcessing) {
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            while (true) {
+                const item = this.store.read().pending[0];
+                if (!item) {
+                    break;
+                }
+
+                const wait = new Date(item.nextAttemptAt).getTime() - Date.now();
+                if (wait > 0) {
+                    await this.delay(wait);
+                    continue;
+                }
+
+                await this.attemptDelivery(item);
+            }
+        } catch (error) {
+            logger.error('Outbound queue processing failed:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Make one delivery attempt for an item
+     */
+    async attemptDelivery(item) {
+        const sender = this.senders[item.type];
+        item.attempts++;
+
+        try {
+            if (!sender) {
+                throw new Error(`No sender registered for queue item type '${item.type}'`);
+            }
+
+            const message = await sender(item.chatId, item.payload);
+            item.history.push({
+                attempt: item.attempts,
+                at: new Date().toISOString(),
+                success: true
+            });
+
+            this.removePending(item.id);
+            this.cleanupFiles(item);
+            this.settle(item.id, null, { message, history: item.history });
+        } catch (error) {
+            const classification = retryPolicy.classify(error);
+            const willRetry = retryPolicy.shouldRetry(classification, item.attempts);
+            const retryDelay = willRetry ? retryPolicy.getDelay(classification, item.attempts) : null;
+
+            item.lastError = error.message;
+            item.history.push({
+                attempt: item.attempts,
+                at: new Date().toISOString(),
+                success: false,
+                error: error.message,
+                statusCode: classification.statusCode,
+                reason: classification.reason,
+                retryable: classification.retryable,
+                retryDelay
+            });
+
+            logger.warn(`Attempt ${item.attempts} failed (${classification.reason}):`, error.message);
+
+            if (!willRetry) {
+                this.moveToDeadLetters(item);
+                logger.error(`Queue item ${item.id} failed after ${item.attempts} attempt(s), moved to dead letters:`, error.message);
+                error.deadLetterId = item.id;
+                error.history = item.history;
+                this.settle(item.id, error);
+                return;
+            }
+
+            item.nextAttemptAt = new Date(Date.now() + retryDelay).toISOString();
+            this.replacePending(item);
+
+            logger.info(`Retrying in ${retryDelay}ms... (attempt ${item.attempts + 1}/${retryPolicy.maxAttempts})`);
+        }
+    }
+
+    /**
+     * Resolve or reject the caller waiting on an item (if it is still in this process)
+     */
+    settle(id, error, result) {
+        const waiter = this.waiters.get(id);
+        if (!waiter) {
+            if (!error) logger.info(`Queued item ${id} delivered`);
+            return;
+        }
+
+        this.waiters.delete(id);
+        if (error) {
+            waiter.reject(error);
+        } else {
+            waiter.resolve(result);
+        }
+    }
+
+    removePending(id) {
+        this.store.update((state) => {
+            state.pending = state.pending.filter(item => item.id !== id);
+        });
+    }
+
+    replacePending(updated) {
+        this.store.update((state) => {
+            state.pending = state.pending.map(item => item.id === updated.id ? updated : item);
+        });
+    }
+
+    moveToDeadLetters(item) {
+        this.store.update((state) => {
+            state.pending = state.pending.filter(pending => pending.id !== item.id);
+            state.deadLetters.push({
+                ...item,
+                failedAt: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * Remove local files owned by a queue item once no other queued item needs them
+     */
+    cleanupFiles(item) {
+        const files = item.payload && item.payload.ownedFiles ? item.payload.ownedFiles : [];
+        const { pending, deadLetters } = this.store.read();
+        const stillReferenced = new Set([...pending, ...deadLetters]
+            .filter(other => other.id !== item.id && other.payload && other.payload.ownedFiles)
+            .flatMap(other => other.payload.ownedFiles));
+
+        files.filter(filePath => !stillReferenced.has(filePath)).forEach((filePath) => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (error) {
+                logger.warn(`Failed to remove queued file ${filePath}:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * List dead-lettered items
+     */
+    getDeadLetters() {
+        return this.store.read().deadLetters;
+    }
+
+    /**
+     * Put a dead-lettered item back on the queue and wait for its delivery
+     */
+    replayDeadLetter(id) {
+        const state = this.store.read();
+        const item = state.deadLetters.find(deadLetter => deadLetter.id === id);
+
+        if (!item) {
+            return null;
+        }
+
+        const { failedAt, ...requeued } = item;
+        requeued.attempts = 0;
+        requeued.history = [];
+        requeued.nextAttemptAt = new Date().toISOString();
+
+        state.deadLetters = state.deadLetters.filter(deadLetter => deadLetter.id !== id);
+        state.pending.push(requeued);
+        this.store.write(state);
+
+        const delivery = new Promise((resolve, reject) => {
+            this.waiters.set(id, { resolve, reject });
+        });
+
+        logger.info(`Replaying dead-lettered item ${id}`);
+        this.processQueue();
+        return delivery;
+    }
+
+    /**
+     * Permanently discard a dead-lettered item
+     */
+    discardDeadLetter(id) {
+        const state = this.store.read();
+        const item = state.deadLetters.find(deadLetter => deadLetter.id === id);
+
+        if (!item) {
+            return false;
+        }
+
+        state.deadLetters = state.deadLetters.filter(deadLetter => deadLetter.id !== id);
+        this.store.write(state);
+        this.cleanupFiles(item);
+        return true;
+    }
+
+    /**
+     * Get queue status
+     */
+    getStatus() {
+        const { pending, deadLetters } = this.store.read();
+        return {
+            pending: pending.length,
+            deadLetters: deadLetters.length,
+            processing: this.isProcessing,
+            nextAttemptAt: pending[0] ? pending[0].nextAttemptAt : null
+        };
+    }
+
+    /**
+     * Utility method for delays
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Create and export singleton instance
+const queue = new OutboundQueue();
+
+module.exports = queue;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const JsonStore = require('./store');
+
+const SEVERITIES = ['block', 'warn'];
+
+// Negated wording ("does not guarantee", "no guarantee", "cannot be guaranteed") is a disclaimer, not a promise
+const NOT_NEGATED = '(?<!\\b(?:not|no|never|without|cannot|can[\'’]t|won[\'’]t|doesn[\'’]t|don[\'’]t|isn[\'’]t|aren[\'’]t)\\s+(?:(?:a|any|be)\\s+)?)';
+
+// Default patterns replaced by a narrower version; stores seeded with the old pattern are upgraded on read
+const REPLACED_PATTERNS = {
+    guaranteed: '\\bguarantee(d|s)?\\b'
+};
+
+// Financial-promotion wording restricted in many jurisdictions (seeded on first use, editable via /lint/rules)
+const DEFAULT_RULES = [
+    { id: 'guaranteed', type: 'regex', pattern: NOT_NEGATED + '\\bguarantee(d|s)?\\b', severity: 'block', reason: 'Returns or outcomes must not be presented as guaranteed' },
+    { id: 'risk-free', type: 'regex', pattern: '\\b(risk[- ]free|no risk|zero risk)\\b', severity: 'block', reason: 'Investments must not be described as free of risk' },
+    { id: 'limited-time-rates', type: 'regex', pattern: '\\blimited[- ]time\\b[^\\n]*\\b(rates?|returns?|profits?)\\b', severity: 'block', reason: 'Time-limited enhanced returns are a restricted inducement' },
+    { id: 'dont-miss', type: 'regex', pattern: '\\bdon[\'’]?t miss (this|out)\\b', severity: 'warn', reason: 'Pressure wording (fear of missing out)' },
+    { id: 'act-now', type: 'regex', pattern: '\\b(act now|act fast|hurry)\\b', severity: 'warn', reason: 'Pressure wording (urgency)' },
+    { id: 'safe-investment', type: 'regex', pattern: '\\b(100% safe|completely safe|totally safe)\\b', severity: 'block', reason: 'Investments must not be described as safe' },
+    { id: 'get-rich', type: 'phrase', pattern: 'get rich', severity: 'warn', reason: 'Unrealistic wealth promise' }
+];
+
+/**
+ * Prohibited-phrase linter for outgoing posts.
+ * Rules are phrases (case-insensitive) or regular expressions, each with a 'block' or 'warn' severity.
+ */
+class PhrasePolicy {
+    constructor() {
+        this.store = new JsonStore('lint-rules.json', null);
+        this.severities = SEVERITIES;
+    }
+
+    /**
+     * Load all rules, seeding the store with the default rules on first use
+     */
+    listRules() {
+        let data = this.store.read();
+
+        if (!data) {
+            data = { rules: DEFAULT_RULES };
+            this.store.write(data);
+            logger.info(`Lint rule store seeded with ${DEFAULT_RULES.length} default rules`);
+        }
+
+        const outdated = data.rules.filter(rule => REPLACED_PATTERNS[rule.id] === rule.pattern);
+        if (outdated.length > 0) {
+            data.rules = data.rules.map(rule => (outdated.includes(rule)
+                ? { ...rule, pattern: DEFAULT_RULES.find(entry => entry.id === rule.id).pattern }
+                : rule));
+            this.store.write(data);
+            logger.info(`Lint rules upgraded to the current default pattern: ${outdated.map(rule => rule.id).join(', ')}`);
+        }
+
+        return data.rules;
+    }
+
+    /**
+     * Add a rule
+     */
+    addRule({ id, type = 'phrase', pattern, severity = 'warn', reason = null }) {
+        const rule = {
+            id: id || crypto.randomBytes(4).toString('hex'),
+            type,
+            pattern,
+            severity,
+            reason
+        };
+        this.validateRule(rule);
+
+        const rules = this.listRules();
+        if (rules.some(existing => existing.id === rule.id)) {
+            throw new Error(`Lint rule '${rule.id}' already exists`);
+        }
+
+        this.store.write({ rules: [...rules, rule] });
+        logger.info(`Lint rule added: ${rule.id} (${rule.severity})`);
+        return rule;
+    }
+
+    /**
+     * Remove a rule
+     */
+    removeRule(id) {
+        const rules = this.listRules();
+        const remaining = rules.filter(rule => rule.id !== id);
+
+        if (remaining.length === rules.length) {
+            return false;
+        }
+
+        this.store.write({ rules: remaining });
+        logger.info(`Lint rule removed: ${id}`);
+        return true;
+    }
+
+    /**
+     * Validate a rule definition
+     */
+    validateRule({ type, pattern, severity }) {
+        if (!['phrase', 'regex'].includes(type)) {
+            throw new Error('Lint rule type must be "phrase" or "regex"');
+        }
+
+        if (!pattern || typeof pattern !== 'string') {
+            throw new Error('Lint rule pattern is required');
+        }
+
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Lint rule severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+
+        if (type === 'regex') {
+            try {
+                new RegExp(pattern, 'giu');
+            } catch (error) {
+                throw new Error(`Invalid lint rule regex: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Build the matcher for a rule (phrases match literally, case-insensitive)
+     */
+    toRegExp(rule) {
+        const source = rule.type === 'phrase'
+            ? rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            : rule.pattern;
+        return new RegExp(source, 'giu');
+    }
+
+    /**
+     * Lint text; every match is reported with its span (start/end offsets)
+     */
+    lint(text) {
+        const findings = [];
+
+        this.listRules().forEach((rule) => {
+            for (const match of text.matchAll(this.toRegExp(rule))) {
+                if (!match[0]) continue;
+
+                findings.push({
+                    ruleId: rule.id,
+                    severity: rule.severity,
+                    reason: rule.reason,
+                    match: match[0],
+                    start: match.index,
+                    end: match.index + match[0].length
+                });
+            }
+        });
+
+        findings.sort((a, b) => a.start - b.start);
+        const blocking = findings.filter(finding => finding.severity === 'block');
+
+        return {
+            passed: blocking.length === 0,
+            blocking,
+            warnings: findings.filter(finding => finding.severity === 'warn'),
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Pre-publish gate: throws when a blocking rule matches, otherwise returns the report (with warnings)
+     */
+    enforce(text) {
+        const report = this.lint(text);
+
+        if (!report.passed) {
+            const spans = report.blocking.map(finding => `"${finding.match}" (${finding.ruleId})`).join(', ');
+            logger.warn(`Publishing blocked by phrase policy: ${spans}`);
+            const error = new Error(`Blocked by phrase policy: ${spans}`);
+            error.lint = report;
+            throw error;
+        }
+
+        if (report.warnings.length > 0) {
+            logger.warn(`Phrase policy warnings: ${report.warnings.map(finding => `"${finding.match}" (${finding.ruleId})`).join(', ')}`);
+        }
+
+        return report;
+    }
+}
+
+// Create and export singleton instance
+const policy = new PhrasePolicy();
+
+module.exports = policy;
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('./config');
+const logger = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// In-memory resolution: one bucket per minute for the last two days, per half hour before that
+const RECENT_MS = 2 * DAY_MS;
+const BUCKET_MS = MINUTE_MS;
+const COARSE_BUCKET_MS = 30 * MINUTE_MS;
+
+// Expired points are dropped from the file (and recent buckets coarsened) at most this often
+const COMPACT_INTERVAL_MS = 60 * MINUTE_MS;
+
+// History file used before points were appended line by line
+const LEGACY_FILE = 'market-history.json';
+
+/**
+ * Market data history.
+ * Every fetched data point is appended to DATA_DIR/market-history.jsonl (one JSON point per line) and kept
+ * for MARKET_HISTORY_DAYS; the file is only rewritten when expired points are dropped, at most once an hour.
+ * Computed changes and the daily chart read a downsampled in-memory series per pair instead of the file: the
+ * median price of the non-outlier points per minute for the last two days and per half hour before that.
+ * History queries stream the file page by page.
+ */
+class PriceHistory {
+    constructor() {
+        this.filePath = path.join(config.dataDir, 'market-history.jsonl');
+        this.series = null;
+        this.writes = Promise.resolve();
+        this.lastCompactedAt = 0;
+    }
+
+    /**
+     * Store data points ({ asset, currency, source, price, change24h, marketCap, timestamp, outlier });
+     * resolves once they are written
+     */
+    append(points) {
+        this.load();
+        points.forEach(point => this.addToSeries(point));
+
+        const lines = points.map(point => `${JSON.stringify(point)}\n`).join('');
+        const compact = Date.now() - this.lastCompactedAt >= COMPACT_INTERVAL_MS;
+        if (compact) {
+            this.lastCompactedAt = Date.now();
+        }
+
+        // Writes are chained so a compaction never races an append
+        this.writes = this.writes
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.filePath, lines, 'utf8'))
+            .then(() => compact && this.compact())
+            .catch(error => logger.error('Failed to store market history:', error.message));
+
+        return this.writes;
+    }
+
+    /**
+     * Every stored point, oldest first (read once to build the in-memory series). Points recorded before
+     * multi-asset support are BTC/USD.
+     */
+    read() {
+        this.migrateLegacyFile();
+
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return this.parseLines(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    /**
+     * Stored points between two timestamps that pass `match`, oldest first, read line by line.
+     * Returns at most `limit` points and a cursor for the next page (null on the last page).
+     */
+    async query({ from = 0, to = Date.now(), match = () => true, limit = Infinity, cursor = null } = {}) {
+        this.migrateLegacyFile();
+
+        if (!fs.existsSync(this.filePath)) {
+            return { points: [], nextCursor: null };
+        }
+
+        // A cursor is the time of the last point returned and its position among the matching points at that time
+        const after = cursor ? parseCursor(cursor) : null;
+        const points = [];
+        let nextCursor = null;
+        let lastTime = null;
+        let position = 0;
+        let lastPosition = 0;
+
+        const input = fs.createReadStream(this.filePath, 'utf8');
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        try {
+            for await (const line of lines) {
+                const [point] = this.parseLines(line);
+                const time = point ? Date.parse(point.timestamp) : NaN;
+
+                // Points are stored in time order, so nothing after `to` needs reading
+                if (time > to) {
+                    break;
+                }
+
+                if (!point || time < from || !match(point)) {
+                    continue;
+                }
+
+                position = time === lastTime ? position + 1 : 1;
+                lastTime = time;
+
+                if (after && (time < after.time || (time === after.time && position <= after.position))) {
+                    continue;
+                }
+
+                if (points.length === limit) {
+                    nextCursor = `${Date.parse(points[points.length - 1].timestamp)}-${lastPosition}`;
+                    break;
+                }
+
+                points.push(point);
+                lastPosition = position;
+            }
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+
+        return { points, nextCursor };
+    }
+
+    /**
+     * Non-outlier prices of a pair ("BTC/USD") between two timestamps, from the in-memory series
+     */
+    getPrices(pairKey, from, to) {
+        this.load();
+
+        return (this.series.get(pairKey) || [])
+            .filter(bucket => bucket.time >= from && bucket.time <= to)
+            .flatMap(bucket => bucket.prices);
+    }
+
+    /**
+     * One point per in-memory bucket of a pair between two timestamps: { timestamp, price } with the bucket's median price
+     */
+    getSeries(pairKey, from, to) {
+        this.load();
+
+        return (this.series.get(pairKey) || [])
+            .filter(bucket => bucket.time >= from && bucket.time <= to)
+            .map(bucket => ({ timestamp: new Date(bucket.time).toISOString(), price: this.median(bucket.prices) }));
+    }
+
+    /**
+     * Build the in-memory series from the file on first use
+     */
+    load() {
+        if (this.series) {
+            return;
+        }
+
+        this.series = new Map();
+        this.read().forEach(point => this.addToSeries(point));
+        this.downsample();
+    }
+
+    /**
+     * Add a point to its pair's series (points arrive in time order)
+     */
+    addToSeries(point) {
+        if (point.outlier) {
+            return;
+        }
+
+        const key = `${point.asset}/${point.currency}`;
+        const time = Date.parse(point.timestamp);
+        const size = Date.now() - time > RECENT_MS ? COARSE_BUCKET_MS : BUCKET_MS;
+        const bucketTime = Math.floor(time / size) * size;
+
+        if (!this.series.has(key)) {
+            this.series.set(key, []);
+        }
+
+        const buckets = this.series.get(key);
+        const last = buckets[buckets.length - 1];
+        if (last && last.time === bucketTime) {
+            last.prices.push(point.price);
+        } else {
+            buckets.push({ time: bucketTime, prices: [point.price] });
+        }
+    }
+
+    /**
+     * Drop expired buckets and merge buckets older than two days into half-hour medians
+     */
+    downsample() {
+        const now = Date.now();
+        const cutoff = now - config.marketHistoryDays * DAY_MS;
+
+        this.series.forEach((buckets, key) => {
+            const merged = [];
+
+            buckets.filter(bucket => bucket.time >= cutoff).forEach((bucket) => {
+                if (now - bucket.time <= RECENT_MS) {
+                    merged.push(bucket);
+                    return;
+                }
+
+                const time = Math.floor(bucket.time / COARSE_BUCKET_MS) * COARSE_BUCKET_MS;
+                const last = merged[merged.length - 1];
+                if (last && last.time === time) {
+                    last.prices.push(...bucket.prices);
+                } else {
+                    merged.push({ time, prices: [...bucket.prices] });
+                }
+            });
+
+            merged.filter(bucket => now - bucket.time > RECENT_MS).forEach((bucket) => {
+                bucket.prices = [this.median(bucket.prices)];
+            });
+
+            this.series.set(key, merged);
+        });
+    }
+
+    /**
+     * Median of a list of numbers (null for an empty list); also used for the price consensus
+     */
+    median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    /**
+     * Rewrite the file without expired points (temp file + rename)
+     */
+    async compact() {
+        const cutoff = Date.now() - config.marketHistoryDays * DAY_MS;
+        const points = this.parseLines(await fs.promises.readFile(this.filePath, 'utf8'));
+        const kept = points.filter(point => Date.parse(point.timestamp) >= cutoff);
+
+        if (kept.length < points.length) {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, kept.map(point => `${JSON.stringify(point)}\n`).join(''), 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+            logger.debug(`Market history compacted: ${points.length - kept.length} expired point(s) dropped`);
+        }
+
+        this.downsample();
+    }
+
+    /**
+     * Parse history lines, skipping a line cut short by a crash
+     */
+    parseLines(content) {
+        return content.split('\n').filter(Boolean).reduce((points, line) => {
+            try {
+                points.push({ asset: 'BTC', currency: 'USD', ...JSON.parse(line) });
+            } catch (error) {
+                logger.warn('Skipping unreadable market history line');
+            }
+            return points;
+        }, []);
+    }
+
+    /**
+     * Move points from the old single-document history file into the line-based file
+     */
+    migrateLegacyFile() {
+        const legacyPath = path.join(config.dataDir, LEGACY_FILE);
+
+        if (!fs.existsSync(legacyPath) || fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            const { points = [] } = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+            fs.writeFileSync(this.filePath, points.map(point => `${JSON.stringify(point)}\n`).join(''), 'utf8');
+            fs.unlinkSync(legacyPath);
+            logger.info(`Market history migrated to ${this.filePath} (${points.length} points)`);
+        } catch (error) {
+            logger.error(`Failed to migrate market history from ${legacyPath}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Parse a history page cursor ("<time>-<position>")
+ */
+function parseCursor(cursor) {
+    const match = /^(\d+)-(\d+)$/.exec(cursor);
+    if (!match) {
+        throw new Error(`Invalid cursor: ${cursor}`);
+    }
+    return { time: Number(match[1]), position: Number(match[2]) };
+}
+
+// Create and export singleton instance
+const priceHistory = new PriceHistory();
+
+module.exports = priceHistory;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const JsonStore = require('./store');
+
+class PublishedMessageLog {
+    constructor() {
+        this.store = new JsonStore('published-messages.json', { messages: [] });
+    }
+
+    /**
+     * Record a message that was published to a destination (footer: whether it carries the disclaimer footer)
+     */
+    record({ destination, chatId, messageId, type, content, footer = true, parseMode = 'Markdown', replyMarkup = null, liveValues = null }) {
+        const entry = {
+            id: crypto.randomBytes(4).toString('hex'),
+            destination,
+            chatId,
+            messageId,
+            type,
+            content,
+            footer,
+            parseMode,
+            replyMarkup,
+            liveValues,
+            publishedAt: new Date().toISOString(),
+            edits: [],
+            deletedAt: null,
+            deletedBy: null
+        };
+
+        this.store.update((data) => {
+            data.messages.push(entry);
+        });
+
+        return entry;
+    }
+
+    /**
+     * List published messages, newest first
+     */
+    list({ destination, includeDeleted = false, limit = 100 } = {}) {
+        return this.store.read().messages
+            .filter(entry => !destination || entry.destination === destination)
+            .filter(entry => includeDeleted || !entry.deletedAt)
+            .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get a single published message
+     */
+    get(id) {
+        return this.store.read().messages.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Record an edit, keeping the previous content in the entry's history
+     */
+    recordEdit(id, content, editedBy, liveValues = null) {
+        let updated = null;
+
+        this.store.update((data) => {
+            const entry = data.messages.find(message => message.id === id);
+            if (!entry) return;
+
+            entry.edits.push({
+                editedAt: new Date().toISOString(),
+                editedBy,
+                previousContent: entry.content
+            });
+            entry.content = content;
+            if (liveValues) {
+                entry.liveValues = liveValues;
+            }
+            updated = entry;
+        });
+
+        if (updated) {
+            logger.info(`Published message ${id} (${updated.destination}/${updated.messageId}) edited by '${editedBy}'`);
+        }
+        return updated;
+    }
+
+    /**
+     * Mark a message as deleted (the entry is kept for the record)
+     */
+    recordDeletion(id, deletedBy) {
+        let updated = null;
+
+        this.store.update((data) => {
+            const entry = data.messages.find(message => message.id === id);
+            if (!entry) return;
+
+            entry.deletedAt = new Date().toISOString();
+            entry.deletedBy = deletedBy;
+            updated = entry;
+        });
+
+        if (updated) {
+            logger.info(`Published message ${id} (${updated.destination}/${updated.messageId}) deleted by '${deletedBy}'`);
+        }
+        return updated;
+    }
+}
+
+// Create and export singleton instance
+const publishedMessages = new PublishedMessageLog();
+
+module.exports = publishedMessages;
@@ -0,0 +1,120 @@
+const config = require('./config');
+
+const MAX_BACKOFF_DELAY = 60000; // 1 minute
+
+// Transport failures worth retrying; node-telegram-bot-api wraps them in EFATAL errors, so the message is checked too
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE'];
+const NETWORK_ERROR_PATTERN = new RegExp(`\\b(${NETWORK_ERROR_CODES.join('|')})\\b|socket hang up`, 'i');
+
+/**
+ * Retry policy for Telegram API calls, driven by RETRY_ATTEMPTS and RETRY_DELAY.
+ * Only transient failures (network errors, 429, 5xx) are retried.
+ */
+class RetryPolicy {
+    constructor({ maxAttempts = config.retryAttempts, baseDelay = config.retryDelay, maxDelay = MAX_BACKOFF_DELAY } = {}) {
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+    }
+
+    /**
+     * Parse the Telegram error payload, if the error carries one
+     */
+    parseTelegramError(error) {
+        if (!error || !error.response || !error.response.body) {
+            return null;
+        }
+
+        try {
+            return typeof error.response.body === 'string'
+                ? JSON.parse(error.response.body)
+                : error.response.body;
+        } catch (parseError) {
+            return null;
+        }
+    }
+
+    /**
+     * Classify an error as retryable (transient) or permanent
+     */
+    classify(error) {
+        const errorData = this.parseTelegramError(error);
+
+        if (!errorData || !errorData.error_code) {
+            // No response from Telegram: only a connection reset, timeout, DNS failure... is transient
+            const network = this.isNetworkError(error);
+            return {
+                retryable: network,
+                statusCode: null,
+                reason: network ? 'network' : 'permanent',
+                retryAfter: null
+            };
+        }
+
+        const statusCode = errorData.error_code;
+
+        if (statusCode === 429) {
+            return {
+                retryable: true,
+                statusCode,
+                reason: 'rate_limited',
+                retryAfter: errorData.parameters && errorData.parameters.retry_after
+                    ? errorData.parameters.retry_after
+                    : null
+            };
+        }
+
+        if (statusCode >= 500) {
+            return {
+                retryable: true,
+                statusCode,
+                reason: 'server_error',
+                retryAfter: null
+            };
+        }
+
+        return {
+            retryable: false,
+            statusCode,
+            reason: 'permanent',
+            retryAfter: null
+        };
+    }
+
+    /**
+     * Whether an error (or the error it wraps) is a transport failure
+     */
+    isNetworkError(error) {
+        if (!error) {
+            return false;
+        }
+
+        return [error, error.cause].some(entry => entry && NETWORK_ERROR_CODES.includes(entry.code))
+            || NETWORK_ERROR_PATTERN.test(error.message || '');
+    }
+
+    /**
+     * Decide whether another attempt should be made after a failed one
+     */
+    shouldRetry(classification, attempt) {
+        return classification.retryable && attempt < this.maxAttempts;
+    }
+
+    /**
+     * Delay before the next attempt: Telegram's retry_after when rate limited,
+     * otherwise exponential backoff with jitter
+     */
+    getDelay(classification, attempt) {
+        if (classification.retryAfter) {
+            return classification.retryAfter * 1000;
+        }
+
+        const backoff = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+}
+
+// Create and export singleton instance
+const retryPolicy = new RetryPolicy();
+
+module.exports = retryPolicy;
@@ -0,0 +1,175 @@
+const config = require('./config');
+const logger = require('./logger');
+const JsonStore = require('./store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rotation history kept for previews and recent-variant checks
+const HISTORY_LIMIT = 366;
+
+// Furthest ahead a preview simulates the rotation
+const MAX_PREVIEW_DAYS = 366;
+
+/**
+ * Deterministic daily summary variant rotation.
+ * Each scheduler-timezone day gets one variant: a pinned variant wins, excluded variants are never used,
+ * and variants used in the last VARIANT_RECENT_WINDOW posts are skipped while others remain.
+ * Which variant went out on which day is stored in DATA_DIR/rotation.json.
+ */
+class VariantRotation {
+    constructor() {
+        this.store = new JsonStore('rotation.json', { pinned: null, excluded: [], history: [] });
+    }
+
+    /**
+     * Pinned/excluded variants and the recent window
+     */
+    getSettings() {
+        const { pinned, excluded } = this.store.read();
+        return { pinned, excluded, recentWindow: config.variantRecentWindow };
+    }
+
+    /**
+     * Update the pinned variant (null to unpin) and/or the excluded variants
+     */
+    updateSettings({ pinned, excluded }, variantIds) {
+        if (pinned !== undefined && pinned !== null && !variantIds.includes(pinned)) {
+            throw new Error(`Unknown daily variant '${pinned}'`);
+        }
+
+        if (excluded !== undefined) {
+            if (!Array.isArray(excluded)) {
+                throw new Error('excluded must be an array of daily variant IDs');
+            }
+
+            const unknown = excluded.filter(id => !variantIds.includes(id));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown daily variant(s): ${unknown.join(', ')}`);
+            }
+        }
+
+        this.store.update((data) => {
+            if (pinned !== undefined) data.pinned = pinned;
+            if (excluded !== undefined) data.excluded = [...new Set(excluded)];
+        });
+
+        const settings = this.getSettings();
+        logger.info(`Variant rotation updated (pinned: ${settings.pinned || 'none'}, excluded: ${settings.excluded.join(', ') || 'none'})`);
+        return settings;
+    }
+
+    /**
+     * Variants that went out, oldest first
+     */
+    getHistory() {
+        return this.store.read().history;
+    }
+
+    /**
+     * Record the variant posted on a day (a repeated post on the same day replaces the entry)
+     */
+    record(date, variantId) {
+        const day = this.toDay(date);
+
+        this.store.update((data) => {
+            data.history = [...data.history.filter(entry => entry.date !== day), { date: day, variantId, postedAt: new Date().toISOString() }]
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .slice(-HISTORY_LIMIT);
+        });
+    }
+
+    /**
+     * Variant for a day: the one already posted that day, otherwise the rotation's pick
+     * after simulating one post per day for the days still ahead.
+     * Returns { variant, reason, skipped, date }.
+     */
+    select(variants, date = new Date()) {
+        if (variants.length === 0) {
+            throw new Error('No daily templates available');
+        }
+
+        const day = this.toDay(date);
+        const settings = this.store.read();
+        const history = settings.history.filter(entry => entry.date < day);
+
+        // A repeated post on the same day keeps its variant unless another one was pinned since
+        const posted = settings.history.find(entry => entry.date === day);
+        const postedVariant = posted && variants.find(variant => variant.id === posted.variantId);
+        if (postedVariant && (!settings.pinned || settings.pinned === postedVariant.id)) {
+            return { date: day, variant: postedVariant, reason: 'posted', skipped: [] };
+        }
+
+        const today = this.toDay(new Date());
+        const lastDay = history.length > 0 ? history[history.length - 1].date : null;
+        let next = lastDay && lastDay >= today ? this.addDays(lastDay, 1) : today;
+
+        if (this.daysBetween(next, day) > MAX_PREVIEW_DAYS) {
+            throw new Error(`Rotation can only be previewed up to ${MAX_PREVIEW_DAYS} days ahead`);
+        }
+
+        for (; next < day; next = this.addDays(next, 1)) {
+            history.push({ date: next, variantId: this.choose(variants, next, history, settings).variant.id });
+        }
+
+        return { date: day, ...this.choose(variants, day, history, settings) };
+    }
+
+    /**
+     * Pick a variant for a day from the history of earlier days
+     */
+    choose(variants, day, history, { pinned, excluded }) {
+        const pinnedVariant = variants.find(variant => variant.id === pinned);
+        if (pinnedVariant) {
+            return { variant: pinnedVariant, reason: 'pinned', skipped: [] };
+        }
+
+        let candidates = variants.filter(variant => !excluded.includes(variant.id));
+        if (candidates.length === 0) {
+            logger.warn('Every daily variant is excluded; rotating through all of them');
+            candidates = variants;
+        }
+
+        // Skip recently used variants, always leaving at least one candidate
+        const recentCount = Math.min(config.variantRecentWindow, candidates.length - 1);
+        const recent = recentCount > 0 ? history.slice(-recentCount).map(entry => entry.variantId) : [];
+        const fresh = candidates.filter(variant => !recent.includes(variant.id));
+
+        // Step through the remaining variants by day number so the same history always gives the same pick
+        const dayNumber = Math.floor(Date.parse(`${day}T00:00:00Z`) / DAY_MS);
+        return {
+            variant: fresh[dayNumber % fresh.length],
+            reason: 'rotation',
+            skipped: candidates.filter(variant => recent.includes(variant.id)).map(variant => variant.id)
+        };
+    }
+
+    /**
+     * Day key (YYYY-MM-DD) in the scheduler timezone; date-only strings are taken as they are
+     */
+    toDay(date) {
+        if (typeof date === 'string' && DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+            return date;
+        }
+
+        const time = new Date(date);
+        if (Number.isNaN(time.getTime())) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+
+        return time.toLocaleDateString('en-CA', { timeZone: config.timezone });
+    }
+
+    addDays(day, days) {
+        return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+    }
+}
+
+// Create and export singleton instance
+const rotation = new VariantRotation();
+
+module.exports = rotation;
@@ -2,11 +2,24 @@ const cron = require('node-cron');
 const { sendDailyMarketSummary } = require('./bot');
 const config = require('./config');
 const logger = require('./logger');
+const JsonStore = require('./store');
+const alerts = require('./alerts');
+const media = require('./media');
+const queue = require('./message-queue');
+
+// setTimeout cannot wait longer than this; later one-off posts re-arm their timer until due
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const CATCH_UP_POLICIES = ['send', 'skip'];
+
+// Local date and time without an offset, e.g. 2026-10-23T14:00 (read in the job's timezone)
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
 
 class TelegramScheduler {
     constructor() {
         this.jobs = new Map();
         this.isRunning = false;
+        this.store = new JsonStore('schedules.json', {});
     }
 
     /**
@@ -22,6 +35,12 @@ class TelegramScheduler {
             // Schedule daily market summary
             this.scheduleDailyUpdate();
             
+            // Restore custom jobs saved before the last restart
+            this.restoreSavedJobs();
+            
+            // Poll market data for price alerts
+            alerts.start();
+            
             this.isRunning = true;
             logger.info('Scheduler started successfully');
         } catch (error) {
@@ -45,8 +64,13 @@ class TelegramScheduler {
             logger.info('Executing scheduled daily market summary...');
             
             try {
-                await sendDailyMarketSummary();
-                logger.info('Daily market summary sent successfully');
+                const result = await sendDailyMarketSummary();
+                
+                if (result.skipped) {
+                    logger.warn(`Daily market summary skipped: ${result.reason}`);
+                } else {
+                    logger.info(`Daily market summary sent successfully (data source: ${result.dataSource || 'none'})`);
+                }
             } catch (error) {
                 logger.error('Failed to send daily market summary:', error.message);
                 
@@ -65,39 +89,18 @@ class TelegramScheduler {
     }
 
     /**
-     * Schedule custom message
+     * Schedule custom message and save its definition
      */
     scheduleCustomMessage(name, cronExpression, message, options = {}) {
         try {
-            if (!cron.validate(cronExpression)) {
-                throw new Error(`Invalid cron expression: ${cronExpression}`);
-            }
-
-            // Stop existing job with same name
-            if (this.jobs.has(name)) {
-                this.jobs.get(name).stop();
-                this.jobs.delete(name);
-            }
-
-            const { broadcastUpdate } = require('./bot');
-            
-            const job = cron.schedule(cronExpression, async () => {
-                logger.info(`Executing scheduled message: ${name}`);
-                
-                try {
-                    await broadcastUpdate(message);
-                    logger.info(`Scheduled message '${name}' sent successfully`);
-                } catch (error) {
-                    logger.error(`Failed to send scheduled message '${name}':`, error.message);
-                    this.handleScheduledTaskError(error);
-                }
-            }, {
-                scheduled: false,
-                timezone: options.timezone || config.timezone
+            this.createCustomJob(name, cronExpression, message, options);
+            this.replaceDefinition({
+                name,
+                cronExpression,
+                message,
+                options,
+                createdAt: new Date().toISOString()
             });
-
-            this.jobs.set(name, job);
-            job.start();
             
             logger.info(`Custom message '${name}' scheduled: ${cronExpression}`);
             return true;
@@ -108,16 +111,322 @@ class TelegramScheduler {
     }
 
     /**
-     * Stop a scheduled job
+     * Create the cron job for a custom message
+     */
+    createCustomJob(name, cronExpression, message, options = {}) {
+        if (!cron.validate(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
+        }
+
+        // Stop existing job with same name
+        if (this.jobs.has(name)) {
+            this.jobs.get(name).stop();
+            this.jobs.delete(name);
+        }
+
+        // Media files are kept for the job's next run
+        const job = cron.schedule(cronExpression, () => this.sendCustomMessage(name, message, options, { keepFiles: true }), {
+            scheduled: false,
+            timezone: options.timezone || config.timezone
+        });
+
+        this.jobs.set(name, job);
+        job.start();
+        return job;
+    }
+
+    /**
+     * Send a scheduled message, template or media post; failures are logged, not thrown
+     */
+    async sendCustomMessage(name, message, options = {}, { keepFiles = false } = {}) {
+        const { broadcastUpdate, renderTemplate, sendMedia } = require('./bot');
+        logger.info(`Executing scheduled message: ${name}`);
+        
+        try {
+            if (options.media) {
+                await sendMedia(options.media, { targets: options.targets, parseMode: options.parseMode, keepFiles });
+                logger.info(`Scheduled ${options.media.type} '${name}' sent successfully`);
+                return;
+            }
+            
+            // Templates are rendered at send time so market figures are current
+            const rendered = options.templateId
+                ? await renderTemplate(options.templateId, options.variables, options.parseMode)
+                : { text: message, liveValues: [] };
+            
+            await broadcastUpdate(rendered.text, {
+                targets: options.targets,
+                parseMode: options.parseMode,
+                liveValues: rendered.liveValues,
+                buttons: options.buttons || rendered.buttons
+            });
+            logger.info(`Scheduled message '${name}' sent successfully`);
+        } catch (error) {
+            logger.error(`Failed to send scheduled message '${name}':`, error.message);
+            this.handleScheduledTaskError(error);
+        }
+    }
+
+    /**
+     * Schedule a message to be sent once at `sendAt` and save its definition.
+     * sendAt is an ISO timestamp; without an offset it is read in options.timezone (default TIMEZONE).
+     * Returns the saved definition.
+     */
+    scheduleOneOff(name, sendAt, message, options = {}) {
+        const timezone = options.timezone || config.timezone;
+        const runAt = this.parseSendAt(sendAt, timezone);
+
+        if (runAt <= Date.now()) {
+            throw new Error(`sendAt ${sendAt} (${timezone}) is in the past`);
+        }
+
+        if (options.catchUp !== undefined && !CATCH_UP_POLICIES.includes(options.catchUp)) {
+            throw new Error(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+
+        if (options.catchUpWindowMinutes !== undefined && !(Number.isInteger(options.catchUpWindowMinutes) && options.catchUpWindowMinutes >= 0)) {
+            throw new Error('catchUpWindowMinutes must be a non-negative integer (0 = any delay)');
+        }
+
+        const definition = {
+            name,
+            sendAt: new Date(runAt).toISOString(),
+            message,
+            options: { ...options, timezone },
+            createdAt: new Date().toISOString()
+        };
+
+        this.createOneOffJob(definition);
+        this.replaceDefinition(definition);
+
+        logger.info(`One-off message '${name}' scheduled for ${definition.sendAt} (${timezone})`);
+        return definition;
+    }
+
+    /**
+     * Arm the timer of a one-off job; the job removes itself when it runs
+     */
+    createOneOffJob(definition) {
+        const { name } = definition;
+        const runAt = Date.parse(definition.sendAt);
+
+        if (this.jobs.has(name)) {
+            this.jobs.get(name).stop();
+        }
+
+        const job = {
+            running: true,
+            lastDate: null,
+            nextDate: new Date(runAt),
+            timer: null,
+            stop() {
+                clearTimeout(this.timer);
+                this.running = false;
+            }
+        };
+
+        const arm = () => {
+            const delay = runAt - Date.now();
+            job.timer = delay > MAX_TIMER_DELAY
+                ? setTimeout(arm, MAX_TIMER_DELAY)
+                : setTimeout(() => this.runOneOff(definition), Math.max(delay, 0));
+        };
+
+        arm();
+        this.jobs.set(name, job);
+        return job;
+    }
+
+    /**
+     * Send a one-off job and remove it. The definition is removed once the post's first message is in the
+     * persistent outbound queue: a restart before that runs the job again (catch-up policy), a restart after
+     * it leaves delivery to the queue, so the post is neither lost nor sent twice.
+     */
+    async runOneOff(definition) {
+        let queued = false;
+        
+        // Its media files go to the outbound queue, which removes them after delivery
+        await queue.track(
+            () => this.sendCustomMessage(definition.name, definition.message, definition.options, { keepFiles: false }),
+            () => {
+                queued = true;
+                this.forgetOneOff(definition);
+            }
+        );
+        
+        // A post that never reached the queue (e.g. blocked by the content checks) is not retried
+        if (!queued) {
+            this.forgetOneOff(definition);
+            media.removeFiles(definition.options.media);
+        }
+    }
+
+    /**
+     * Remove a one-off job's definition unless it was replaced by a new job of the same name
+     */
+    forgetOneOff(definition) {
+        const saved = this.store.read()[definition.name];
+        
+        if (saved && saved.createdAt === definition.createdAt) {
+            this.removeDefinition(definition.name);
+        }
+    }
+
+    /**
+     * Re-arm a saved one-off job, or apply its catch-up policy when it was due while the process was down
+     */
+    restoreOneOff(definition) {
+        const runAt = Date.parse(definition.sendAt);
+        const lateMinutes = (Date.now() - runAt) / 60000;
+
+        if (lateMinutes <= 0) {
+            return this.createOneOffJob(definition);
+        }
+
+        const policy = definition.options.catchUp || config.oneOffCatchUp;
+        const windowMinutes = definition.options.catchUpWindowMinutes !== undefined
+            ? definition.options.catchUpWindowMinutes
+            : config.oneOffCatchUpWindowMinutes;
+
+        if (policy === 'send' && (windowMinutes === 0 || lateMinutes <= windowMinutes)) {
+            logger.warn(`One-off message '${definition.name}' was due at ${definition.sendAt}; sending it ${Math.round(lateMinutes)} minute(s) late`);
+            return this.createOneOffJob({ ...definition, sendAt: new Date().toISOString() });
+        }
+
+        logger.warn(`Skipping one-off message '${definition.name}' missed at ${definition.sendAt} (${Math.round(lateMinutes)} minute(s) late, catch-up policy: ${policy}${policy === 'send' ? `, window ${windowMinutes} minute(s)` : ''})`);
+        this.removeDefinition(definition.name);
+        media.removeFiles(definition.options.media);
+        return null;
+    }
+
+    /**
+     * Timestamp (ms) of a sendAt value; local times without an offset are read in the timezone
+     */
+    parseSendAt(sendAt, timezone) {
+        const match = typeof sendAt === 'string' ? sendAt.trim().match(LOCAL_TIME_PATTERN) : null;
+
+        if (!match) {
+            const time = Date.parse(sendAt);
+            if (typeof sendAt !== 'string' || Number.isNaN(time)) {
+                throw new Error(`sendAt must be an ISO timestamp, e.g. 2026-10-23T14:00 or 2026-10-23T14:00:00Z (received ${sendAt})`);
+            }
+            return time;
+        }
+
+        const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+        const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+
+        // Shift by the zone's offset, re-checked at the result so times next to a DST change land correctly
+        const guess = wallTime - this.getZoneOffset(wallTime, timezone);
+        return wallTime - this.getZoneOffset(guess, timezone);
+    }
+
+    /**
+     * Offset (ms) of a timezone from UTC at an instant
+     */
+    getZoneOffset(time, timezone) {
+        let parts;
+        try {
+            parts = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }).formatToParts(new Date(time));
+        } catch (error) {
+            throw new Error(`Unknown timezone: ${timezone}`);
+        }
+
+        const value = type => Number(parts.find(part => part.type === type).value);
+        const zoned = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+        return zoned - Math.floor(time / 1000) * 1000;
+    }
+
+    /**
+     * Recreate custom jobs from the schedule store
+     */
+    restoreSavedJobs() {
+        const schedules = this.store.read();
+        let restored = 0;
+
+        Object.values(schedules).forEach((definition) => {
+            try {
+                if (definition.sendAt) {
+                    if (!this.restoreOneOff(definition)) return;
+                } else {
+                    this.createCustomJob(definition.name, definition.cronExpression, definition.message, definition.options);
+                }
+                restored++;
+            } catch (error) {
+                logger.error(`Failed to restore scheduled job '${definition.name}':`, error.message);
+            }
+        });
+
+        logger.info(`Restored ${restored} saved scheduled job(s)`);
+        return restored;
+    }
+
+    /**
+     * Save a job definition; media files of a job it replaces are no longer needed
+     */
+    replaceDefinition(definition) {
+        const previous = this.store.read()[definition.name];
+        if (previous && previous.options && previous.options.media) {
+            media.removeFiles(previous.options.media);
+        }
+
+        this.store.update((schedules) => {
+            schedules[definition.name] = definition;
+        });
+    }
+
+    /**
+     * Remove a saved definition and forget its job (without touching its files)
+     */
+    removeDefinition(name) {
+        this.store.update((schedules) => {
+            delete schedules[name];
+        });
+        this.jobs.delete(name);
+    }
+
+    /**
+     * Stop a scheduled job and remove its saved definition
      */
     stopJob(name) {
+        const schedules = this.store.read();
+        const isSaved = Object.prototype.hasOwnProperty.call(schedules, name);
+
+        if (isSaved) {
+            media.removeFiles(schedules[name].options && schedules[name].options.media);
+            delete schedules[name];
+            this.store.write(schedules);
+        }
+
         if (this.jobs.has(name)) {
             this.jobs.get(name).stop();
             this.jobs.delete(name);
             logger.info(`Stopped scheduled job: ${name}`);
             return true;
         }
-        return false;
+        return isSaved;
+    }
+
+    /**
+     * List saved job definitions with their live status
+     */
+    getSavedJobs() {
+        const schedules = this.store.read();
+        const { jobs } = this.getStatus();
+
+        return Object.values(schedules).map((definition) => ({
+            ...definition,
+            status: jobs[definition.name] || null
+        }));
     }
 
     /**
@@ -130,6 +439,7 @@ class TelegramScheduler {
         });
         
         this.jobs.clear();
+        alerts.stop();
         this.isRunning = false;
         logger.info('All scheduled jobs stopped');
     }
@@ -151,6 +461,7 @@ class TelegramScheduler {
             isRunning: this.isRunning,
             jobCount: this.jobs.size,
             jobs: jobStatuses,
+            alerts: alerts.getStatus(),
             timezone: config.timezone
         };
     }
@@ -193,6 +504,9 @@ module.exports = {
     getStatus: () => scheduler.getStatus(),
     scheduleCustomMessage: (name, cronExpression, message, options) => 
         scheduler.scheduleCustomMessage(name, cronExpression, message, options),
+    scheduleOneOff: (name, sendAt, message, options) =>
+        scheduler.scheduleOneOff(name, sendAt, message, options),
     stopJob: (name) => scheduler.stopJob(name),
+    getSavedJobs: () => scheduler.getSavedJobs(),
     setupBitVaultSchedules: () => scheduler.setupBitVaultSchedules()
 };
@@ -2,10 +2,72 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { bot, broadcastUpdate, sendDailyMarketSummary, initialize, getStatus } = require('./bot');
-const { start: startScheduler, getStatus: getSchedulerStatus, scheduleCustomMessage, stopJob } = require('./scheduler');
+const crypto = require('crypto');
+const { bot, broadcastUpdate, sendDailyMarketSummary, previewDailySummary, sendImageWithCaption, sendMedia, renderTemplate, resolveTargets, submitDraft, reviewDraft, editPublishedMessage, deletePublishedMessage, processWebhookUpdate, webhookPath, initialize, getStatus } = require('./bot');
+const { start: startScheduler, getStatus: getSchedulerStatus, scheduleCustomMessage, scheduleOneOff, stopJob, getSavedJobs } = require('./scheduler');
 const config = require('./config');
 const logger = require('./logger');
+const queue = require('./message-queue');
+const templates = require('./templates');
+const apiKeys = require('./auth');
+const drafts = require('./drafts');
+const publishedMessages = require('./published-messages');
+const claims = require('./claims');
+const policy = require('./policy');
+const formatting = require('./formatting');
+const marketData = require('./market-data');
+const alerts = require('./alerts');
+const rotation = require('./rotation');
+const media = require('./media');
+const keyboards = require('./keyboards');
+
+// Market history points per page by default and at most
+const HISTORY_PAGE_SIZE = 1000;
+const HISTORY_PAGE_SIZE_MAX = 10000;
+
+/**
+ * Parse a targets field (array or comma-separated string, e.g. from multipart forms)
+ */
+function parseTargets(targets) {
+    if (!targets) {
+        return undefined;
+    }
+    const list = Array.isArray(targets) ? targets : String(targets).split(',');
+    return list.map(target => String(target).trim()).filter(Boolean);
+}
+
+/**
+ * Validation error for a buttons field (layout ID or rows of URL buttons), null when valid or absent
+ */
+function checkButtons(buttons) {
+    try {
+        keyboards.resolve(buttons);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Templates and scheduled jobs that reference a saved button layout
+ */
+function findLayoutUsage(id) {
+    return [
+        ...templates.list().filter(template => template.buttons === id).map(template => `template ${template.id}`),
+        ...getSavedJobs().filter(job => job.options && job.options.buttons === id).map(job => `schedule ${job.name}`)
+    ];
+}
+
+/**
+ * Remove uploaded files that will not be sent
+ */
+function removeUploads(files = []) {
+    files.forEach((file) => {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    });
+}
 
 class BitVaultBotServer {
     constructor() {
@@ -52,6 +114,12 @@ class BitVaultBotServer {
             }
         });
 
+        // Media broadcasts accept any file type; each media type checks its files and size limits after upload
+        this.mediaUpload = multer({
+            storage: storage,
+            limits: { fileSize: media.maxUploadSize, files: media.limits.mediaGroupMax }
+        });
+
         // Request logging middleware
         this.app.use((req, res, next) => {
             const startTime = Date.now();
@@ -62,29 +130,53 @@ class BitVaultBotServer {
             next();
         });
 
-        // Authorization middleware for protected routes
-        this.authMiddleware = (req, res, next) => {
-            const authHeader = req.headers.authorization;
-            const userIdFromHeader = req.headers['x-user-id'];
+        // Authorization middleware for protected routes: Bearer API key with a minimum role
+        this.requireRole = (role) => (req, res, next) => {
+            const authHeader = req.headers.authorization || '';
+            const presentedKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+            const apiUser = presentedKey ? apiKeys.verify(presentedKey) : null;
             
-            // Check if user ID is provided and matches authorized user
-            if (!userIdFromHeader || userIdFromHeader !== config.authorizedUserId) {
-                logger.warn(`Unauthorized access attempt from user ID: ${userIdFromHeader || 'not provided'}`);
+            if (!apiUser) {
+                logger.warn(`Unauthenticated access attempt to ${req.method} ${req.path}`);
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required. Provide a valid API key as "Authorization: Bearer <key>".',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            if (!apiKeys.hasRole(apiUser.role, role)) {
+                logger.warn(`User '${apiUser.user}' (${apiUser.role}) denied access to ${req.method} ${req.path}`);
                 return res.status(403).json({
                     success: false,
-                    error: 'Access denied. Only authorized user can perform this action.',
+                    error: `Access denied. This action requires the '${role}' role.`,
                     timestamp: new Date().toISOString()
                 });
             }
             
+            req.apiUser = apiUser;
             next();
         };
 
+        // Routes that post without a draft are refused while approval is required
+        this.refuseUnreviewed = (req, res, next) => {
+            if (!config.requireApproval) {
+                return next();
+            }
+
+            logger.warn(`User '${req.apiUser.user}' refused ${req.method} ${req.path}: REQUIRE_APPROVAL=true`);
+            res.status(403).json({
+                success: false,
+                error: 'Approval is required (REQUIRE_APPROVAL=true): submit the content as a draft with POST /drafts instead.',
+                timestamp: new Date().toISOString()
+            });
+        };
+
         // CORS middleware
         this.app.use((req, res, next) => {
             res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-User-ID');
+            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
 
             if (req.method === 'OPTIONS') {
                 res.sendStatus(200);
@@ -111,14 +203,27 @@ class BitVaultBotServer {
                     status: '/status',
                     broadcast: 'POST /broadcast (protected)',
                     customBroadcast: 'POST /custom-broadcast (protected, supports image upload)',
-                    dailySummary: 'POST /daily-summary (protected)',
-                    schedule: 'POST /schedule (protected)',
-                    logs: '/logs',
+                    mediaBroadcast: 'POST /media-broadcast (protected, media groups, documents, video, animations and polls)',
+                    dailySummary: 'POST /daily-summary, GET /daily-summary/preview?date, GET/PUT /daily-summary/rotation (protected)',
+                    schedule: 'POST /schedule (protected, cronExpression or one-off sendAt, supports media)',
+                    schedules: 'GET /schedule (protected)',
+                    queue: 'GET /queue (protected)',
+                    deadLetters: 'GET /queue/dead-letters, POST /queue/dead-letters/:id/replay, DELETE /queue/dead-letters/:id (protected)',
+                    templates: 'GET/POST /templates, GET/PUT/DELETE /templates/:id, POST /templates/:id/render (protected)',
+                    keyboards: 'GET/POST /keyboards, GET/PUT/DELETE /keyboards/:id (protected)',
+                    drafts: 'GET/POST /drafts, GET /drafts/:id, POST /drafts/:id/approve, POST /drafts/:id/reject (protected)',
+                    alerts: 'GET/POST /alerts, GET/PUT/DELETE /alerts/:id (protected)',
+                    market: 'GET /market/history?from&to&source&asset&currency&limit&cursor (protected)',
+                    lint: 'POST /lint, GET/POST /lint/rules, DELETE /lint/rules/:id (protected)',
+                    claims: 'GET/POST /claims/facts, PUT/DELETE /claims/facts/:id, POST /claims/check (protected)',
+                    messages: 'GET /messages, GET/PATCH/DELETE /messages/:id (protected)',
+                    apiKeys: 'GET/POST /auth/keys, DELETE /auth/keys/:id (admin)',
+                    logs: '/logs (protected)',
                     samples: '/samples'
                 },
                 security: {
-                    protectedEndpoints: 'Require X-User-ID header with authorized user ID',
-                    authorizedUserId: config.authorizedUserId
+                    protectedEndpoints: 'Require "Authorization: Bearer <API key>"',
+                    roles: apiKeys.roles
                 },
                 bot: {
                     connected: botStatus.isConnected,
@@ -153,6 +258,7 @@ class BitVaultBotServer {
                 data: {
                     bot: botStatus,
                     scheduler: schedulerStatus,
+                    marketData: marketData.getStatus(),
                     server: {
                         isRunning: this.isRunning,
                         port: config.port,
@@ -165,19 +271,58 @@ class BitVaultBotServer {
         });
 
         // Broadcast message endpoint (protected)
-        this.app.post('/broadcast', this.authMiddleware, async (req, res) => {
+        this.app.post('/broadcast', this.requireRole('publisher'), async (req, res) => {
             try {
-                const { message } = req.body;
+                const { templateId, variables } = req.body;
+                const targets = parseTargets(req.body.targets);
+                let { message } = req.body;
+
+                if (!message && !templateId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Message or templateId is required',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                const parseMode = formatting.resolveParseMode(req.body.parseMode);
+                if (!parseMode) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `parseMode must be one of: ${formatting.parseModes.join(', ')}`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
 
-                if (!message) {
+                // Buttons given with the request replace the template's
+                let liveValues = [];
+                let { buttons } = req.body;
+                if (templateId) {
+                    const rendered = await renderTemplate(templateId, variables, parseMode);
+                    ({ text: message, liveValues } = rendered);
+                    buttons = buttons !== undefined ? buttons : rendered.buttons;
+                }
+
+                const buttonsError = checkButtons(buttons);
+                if (buttonsError) {
                     return res.status(400).json({
                         success: false,
-                        error: 'Message is required',
+                        error: buttonsError,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                // With approval required, submissions become drafts for review
+                if (config.requireApproval) {
+                    const draft = await submitDraft({ message, buttons, targets, liveValues, parseMode, createdBy: req.apiUser.user });
+                    return res.status(202).json({
+                        success: true,
+                        data: { draft, pendingApproval: true },
                         timestamp: new Date().toISOString()
                     });
                 }
 
-                const result = await broadcastUpdate(message);
+                const result = await broadcastUpdate(message, { targets, liveValues, parseMode, buttons });
 
                 res.json({
                     success: true,
@@ -187,18 +332,25 @@ class BitVaultBotServer {
 
             } catch (error) {
                 logger.error('Broadcast API error:', error.message);
-                res.status(500).json({
+                res.status(error.lint || error.claims || error.formatting || error.compliance ? 422 : 500).json({
                     success: false,
                     error: error.message,
+                    results: error.results,
+                    lint: error.lint,
+                    claims: error.claims,
+                    formatting: error.formatting,
+                    compliance: error.compliance,
                     timestamp: new Date().toISOString()
                 });
             }
         });
 
         // Send daily market summary endpoint (protected)
-        this.app.post('/daily-summary', this.authMiddleware, async (req, res) => {
+        this.app.post('/daily-summary', this.requireRole('publisher'), this.refuseUnreviewed, async (req, res) => {
             try {
-                const result = await sendDailyMarketSummary();
+                const targets = parseTargets(req.body && req.body.targets);
+                const chart = req.body && req.body.chart !== undefined ? req.body.chart === true || req.body.chart === 'true' : undefined;
+                const result = await sendDailyMarketSummary({ targets, chart });
 
                 res.json({
                     success: true,
@@ -208,7 +360,74 @@ class BitVaultBotServer {
 
             } catch (error) {
                 logger.error('Daily summary API error:', error.message);
-                res.status(500).json({
+                res.status(error.lint || error.claims || error.formatting || error.compliance ? 422 : 500).json({
+                    success: false,
+                    error: error.message,
+                    lint: error.lint,
+                    claims: error.claims,
+                    formatting: error.formatting,
+                    compliance: error.compliance,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Daily summary preview endpoint (protected): the variant and message for a date, without sending
+        this.app.get('/daily-summary/preview', this.requireRole('viewer'), async (req, res) => {
+            const { date } = req.query;
+
+            if (date && isNaN(Date.parse(date))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid date: ${date}. Use ISO 8601, e.g. 2025-01-31 or 2025-01-31T09:00:00Z`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            try {
+                const preview = await previewDailySummary(date || new Date());
+
+                res.json({
+                    success: true,
+                    data: preview,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error('Daily summary preview error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Daily variant rotation settings and history endpoint (protected)
+        this.app.get('/daily-summary/rotation', this.requireRole('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    ...rotation.getSettings(),
+                    variants: templates.list('daily').map(({ id, name }) => ({ id, name })),
+                    history: rotation.getHistory()
+                },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Pin or exclude daily variants endpoint (protected)
+        this.app.put('/daily-summary/rotation', this.requireRole('editor'), (req, res) => {
+            try {
+                const { pinned, excluded } = req.body || {};
+                const settings = rotation.updateSettings({ pinned, excluded }, templates.list('daily').map(variant => variant.id));
+
+                res.json({
+                    success: true,
+                    data: settings,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                res.status(400).json({
                     success: false,
                     error: error.message,
                     timestamp: new Date().toISOString()
@@ -217,29 +436,136 @@ class BitVaultBotServer {
         });
 
         // Schedule custom message endpoint (protected)
-        this.app.post('/schedule', this.authMiddleware, async (req, res) => {
+        this.app.post('/schedule', this.requireRole('publisher'), this.refuseUnreviewed, this.mediaUpload.array('files', media.limits.mediaGroupMax), async (req, res) => {
             try {
-                const { name, cronExpression, message, options = {} } = req.body;
+                const { name, cronExpression, sendAt, message } = req.body;
+                // Multipart forms (media uploads) send options as a JSON string
+                const parsedOptions = typeof req.body.options === 'string' ? JSON.parse(req.body.options) : req.body.options || {};
+                const targets = parseTargets(req.body.targets || parsedOptions.targets);
+                const templateId = req.body.templateId || parsedOptions.templateId;
+                const isMedia = Boolean(req.body.type);
+
+                // Timezone and catch-up settings may also be given next to sendAt
+                const { timezone, catchUp, catchUpWindowMinutes } = req.body;
+                const options = {
+                    ...parsedOptions,
+                    ...(timezone && { timezone }),
+                    ...(catchUp && { catchUp }),
+                    ...(catchUpWindowMinutes !== undefined && { catchUpWindowMinutes: Number(catchUpWindowMinutes) })
+                };
+
+                if (!name || !cronExpression === !sendAt || (!message && !templateId && !isMedia)) {
+                    removeUploads(req.files);
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Name, either cronExpression or sendAt, and message, templateId or a media type are required',
+                        timestamp: new Date().toISOString()
+                    });
+                }
 
-                if (!name || !cronExpression || !message) {
+                // One-off posts run once at sendAt and remove themselves; cron jobs repeat until stopped
+                const schedule = (jobMessage, jobOptions) => (sendAt
+                    ? scheduleOneOff(name, sendAt, jobMessage, jobOptions)
+                    : scheduleCustomMessage(name, cronExpression, jobMessage, jobOptions));
+
+                if (templateId && !templates.get(templateId)) {
+                    removeUploads(req.files);
                     return res.status(400).json({
                         success: false,
-                        error: 'Name, cronExpression, and message are required',
+                        error: `Template '${templateId}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                // Reject unknown destinations up front rather than at send time
+                if (targets) {
+                    resolveTargets(targets);
+                }
+
+                const parseMode = formatting.resolveParseMode(req.body.parseMode || options.parseMode);
+                if (!parseMode) {
+                    throw new Error(`parseMode must be one of: ${formatting.parseModes.join(', ')}`);
+                }
+
+                if (isMedia) {
+                    // Scheduled media must pass the formatting and phrase checks before its files are kept
+                    const spec = media.fromRequest(req.body, req.files);
+                    if (spec.caption) {
+                        formatting.enforce(spec.caption, parseMode);
+                    }
+                    const text = spec.type === 'poll' ? media.getText(spec) : formatting.toCheckedText(spec.caption.trim(), parseMode);
+                    const lintReport = text ? policy.enforce(text) : null;
+
+                    const kept = media.keepForSchedule(spec);
+                    let scheduled;
+                    try {
+                        scheduled = schedule(null, { ...options, targets, parseMode, media: kept });
+                    } catch (error) {
+                        media.removeFiles(kept);
+                        throw error;
+                    }
+
+                    return res.json({
+                        success: true,
+                        data: { name, cronExpression: cronExpression || null, sendAt: sendAt ? scheduled.sendAt : null, targets: targets || null, type: spec.type, media: media.describe(spec), scheduled: true, lint: lintReport },
                         timestamp: new Date().toISOString()
                     });
                 }
 
-                scheduleCustomMessage(name, cronExpression, message, options);
+                // Scheduled content must parse and pass the phrase policy before it is saved (templates are legacy Markdown)
+                if (message) {
+                    formatting.enforce(message, parseMode);
+                }
+                const lintReport = policy.enforce(message
+                    ? formatting.toCheckedText(message, parseMode)
+                    : formatting.toCheckedText(templates.get(templateId).body, 'Markdown'));
+
+                // Saved layouts are referenced by ID, so the job sends their buttons as they are at send time
+                const buttons = req.body.buttons || options.buttons;
+                keyboards.resolve(buttons);
+
+                const scheduled = schedule(message || null, {
+                    ...options,
+                    targets,
+                    parseMode,
+                    templateId,
+                    variables: req.body.variables || options.variables,
+                    buttons
+                });
 
                 res.json({
                     success: true,
-                    data: { name, cronExpression, scheduled: true },
+                    data: { name, cronExpression: cronExpression || null, sendAt: sendAt ? scheduled.sendAt : null, targets: targets || null, templateId: templateId || null, scheduled: true, lint: lintReport },
                     timestamp: new Date().toISOString()
                 });
 
             } catch (error) {
                 logger.error('Schedule API error:', error.message);
-                res.status(400).json({
+                removeUploads(req.files);
+                res.status(error.lint || error.formatting ? 422 : 400).json({
+                    success: false,
+                    error: error.message,
+                    lint: error.lint,
+                    formatting: error.formatting,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // List saved scheduled jobs endpoint (protected)
+        this.app.get('/schedule', this.requireRole('viewer'), (req, res) => {
+            try {
+                const jobs = getSavedJobs();
+
+                res.json({
+                    success: true,
+                    data: { jobs, count: jobs.length },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('List schedules API error:', error.message);
+                res.status(500).json({
                     success: false,
                     error: error.message,
                     timestamp: new Date().toISOString()
@@ -248,9 +574,10 @@ class BitVaultBotServer {
         });
 
         // Custom broadcast with image endpoint (protected)
-        this.app.post('/custom-broadcast', this.authMiddleware, this.upload.single('image'), async (req, res) => {
+        this.app.post('/custom-broadcast', this.requireRole('publisher'), this.upload.single('image'), async (req, res) => {
             try {
                 const { message, caption } = req.body;
+                const targets = parseTargets(req.body.targets);
                 const imageFile = req.file;
 
                 if (!message && !imageFile) {
@@ -261,22 +588,50 @@ class BitVaultBotServer {
                     });
                 }
 
+                const parseMode = formatting.resolveParseMode(req.body.parseMode);
+                const { buttons } = req.body;
+                const invalid = !parseMode ? `parseMode must be one of: ${formatting.parseModes.join(', ')}` : checkButtons(buttons);
+                if (invalid) {
+                    if (imageFile) {
+                        fs.unlinkSync(imageFile.path);
+                    }
+                    return res.status(400).json({
+                        success: false,
+                        error: invalid,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                // With approval required, submissions become drafts (the image is kept until review)
+                if (config.requireApproval) {
+                    const draft = await submitDraft({
+                        message: imageFile ? (message || caption || '') : message,
+                        imagePath: imageFile ? imageFile.path : null,
+                        buttons,
+                        targets,
+                        parseMode,
+                        createdBy: req.apiUser.user
+                    });
+                    return res.status(202).json({
+                        success: true,
+                        data: { draft, pendingApproval: true },
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
                 let result;
                 if (imageFile && message) {
                     // Send image with caption
-                    result = await this.sendImageWithCaption(imageFile.path, message);
+                    result = await sendImageWithCaption(imageFile.path, message, { targets, parseMode, buttons });
                 } else if (imageFile) {
                     // Send image only with optional caption
-                    result = await this.sendImageWithCaption(imageFile.path, caption || '');
+                    result = await sendImageWithCaption(imageFile.path, caption || '', { targets, parseMode, buttons });
                 } else {
                     // Send text message only
-                    result = await broadcastUpdate(message);
+                    result = await broadcastUpdate(message, { targets, parseMode, buttons });
                 }
 
-                // Clean up uploaded file
-                if (imageFile && fs.existsSync(imageFile.path)) {
-                    fs.unlinkSync(imageFile.path);
-                }
+                // Uploaded files are owned by the outbound queue and removed after delivery
 
                 res.json({
                     success: true,
@@ -287,21 +642,92 @@ class BitVaultBotServer {
             } catch (error) {
                 logger.error('Custom broadcast API error:', error.message);
                 
-                // Clean up uploaded file on error
-                if (req.file && fs.existsSync(req.file.path)) {
+                // Clean up uploaded file if it never reached the queue (dead-lettered images are kept for replay)
+                if (req.file && !error.results && fs.existsSync(req.file.path)) {
                     fs.unlinkSync(req.file.path);
                 }
                 
-                res.status(500).json({
+                res.status(error.lint || error.claims || error.formatting || error.compliance ? 422 : 500).json({
+                    success: false,
+                    error: error.message,
+                    results: error.results,
+                    lint: error.lint,
+                    claims: error.claims,
+                    formatting: error.formatting,
+                    compliance: error.compliance,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Media broadcast endpoint: media groups, documents, video, animations and polls (protected)
+        this.app.post('/media-broadcast', this.requireRole('publisher'), this.mediaUpload.array('files', media.limits.mediaGroupMax), async (req, res) => {
+            try {
+                const targets = parseTargets(req.body.targets);
+                const parseMode = formatting.resolveParseMode(req.body.parseMode);
+                let spec;
+
+                try {
+                    if (!parseMode) {
+                        throw new Error(`parseMode must be one of: ${formatting.parseModes.join(', ')}`);
+                    }
+                    spec = media.fromRequest(req.body, req.files);
+                } catch (error) {
+                    removeUploads(req.files);
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                // With approval required, submissions become drafts (the files are kept until review)
+                if (config.requireApproval) {
+                    const draft = await submitDraft({
+                        media: spec,
+                        targets,
+                        parseMode,
+                        createdBy: req.apiUser.user
+                    });
+                    return res.status(202).json({
+                        success: true,
+                        data: { draft, pendingApproval: true },
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                // Uploaded files are owned by the outbound queue and removed after delivery
+                const result = await sendMedia(spec, { targets, parseMode });
+
+                res.json({
+                    success: true,
+                    data: result,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Media broadcast API error:', error.message);
+
+                // Clean up uploaded files that never reached the queue (dead-lettered media is kept for replay)
+                if (!error.results) {
+                    removeUploads(req.files);
+                }
+
+                res.status(error.lint || error.claims || error.formatting || error.compliance ? 422 : 500).json({
                     success: false,
                     error: error.message,
+                    results: error.results,
+                    lint: error.lint,
+                    claims: error.claims,
+                    formatting: error.formatting,
+                    compliance: error.compliance,
                     timestamp: new Date().toISOString()
                 });
             }
         });
 
         // Stop scheduled job endpoint
-        this.app.delete('/schedule/:name', this.authMiddleware, async (req, res) => {
+        this.app.delete('/schedule/:name', this.requireRole('publisher'), async (req, res) => {
             try {
                 const { name } = req.params;
                 const stopped = stopJob(name);
@@ -330,20 +756,28 @@ class BitVaultBotServer {
             }
         });
 
-        // Get recent logs endpoint
-        this.app.get('/logs', (req, res) => {
+        // Outbound queue status endpoint (protected)
+        this.app.get('/queue', this.requireRole('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                data: queue.getStatus(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // List dead-lettered messages endpoint (protected)
+        this.app.get('/queue/dead-letters', this.requireRole('viewer'), (req, res) => {
             try {
-                const lines = parseInt(req.query.lines) || 100;
-                const logs = logger.getRecentLogs(lines);
+                const deadLetters = queue.getDeadLetters();
 
                 res.json({
                     success: true,
-                    data: { logs, count: logs.length },
+                    data: { deadLetters, count: deadLetters.length },
                     timestamp: new Date().toISOString()
                 });
 
             } catch (error) {
-                logger.error('Logs API error:', error.message);
+                logger.error('Dead letters API error:', error.message);
                 res.status(500).json({
                     success: false,
                     error: error.message,
@@ -352,65 +786,1024 @@ class BitVaultBotServer {
             }
         });
 
-        // Sample BitVault Pro messages endpoint
-        this.app.get('/samples', (req, res) => {
-            const samples = [
-                {
-                    name: "profit_distribution",
-                    message: "🚀 *BitVault Pro Update*: Automated profits distributed! 💰\n\n✅ All active investments received their returns\n📊 Check your dashboard for updated balances\n🔄 Compound interest automatically applied\n\n*Your Bitcoin is growing 24/7!* 📈"
-                },
-                {
-                    name: "security_update",
-                    message: "🔒 *Security Update*: BitVault Pro systems secured! 🛡️\n\n✅ All funds safely stored in cold wallets\n🔐 Multi-layer encryption active\n🚨 24/7 monitoring operational\n\n*Your investments are protected!* 💎"
-                },
-                {
-                    name: "market_analysis",
-                    message: "📊 *Market Analysis*: Bitcoin showing strong momentum! 📈\n\n🪙 *BTC Price*: Trending upward\n📈 *Technical Indicators*: Bullish signals\n💰 *BitVault Returns*: Outperforming market\n\n*Perfect time to maximize your portfolio!* 🚀"
-                },
-                {
-                    name: "weekly_summary",
-                    message: "📅 *Weekly BitVault Pro Summary*\n\n💰 *Total Returns*: Exceeding expectations\n🔄 *Reinvestments*: Automatically processed\n📊 *Portfolio Growth*: Steady upward trend\n🎯 *Success Rate*: 98.5% satisfaction\n\n*Join thousands of successful investors!* 🌟"
+        // Replay dead-lettered message endpoint (protected)
+        this.app.post('/queue/dead-letters/:id/replay', this.requireRole('publisher'), this.refuseUnreviewed, async (req, res) => {
+            try {
+                const { id } = req.params;
+                const delivery = queue.replayDeadLetter(id);
+
+                if (!delivery) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Dead letter '${id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
                 }
-            ];
+
+                const { message, history } = await delivery;
+
+                res.json({
+                    success: true,
+                    // Media groups resolve with one message per item
+                    data: { id, messageId: [].concat(message)[0].message_id, attempts: history, replayed: true },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Replay dead letter API error:', error.message);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                    deadLetterId: error.deadLetterId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Discard dead-lettered message endpoint (protected)
+        this.app.delete('/queue/dead-letters/:id', this.requireRole('publisher'), (req, res) => {
+            const { id } = req.params;
+
+            if (!queue.discardDeadLetter(id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Dead letter '${id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
             res.json({
                 success: true,
-                data: { samples },
+                data: { id, discarded: true },
                 timestamp: new Date().toISOString()
             });
         });
 
-        // Error handling middleware (last)
-        this.app.use((err, req, res, next) => {
-            logger.error('Express error:', err.stack || err.message);
-            res.status(500).json({
-                success: false,
-                error: 'Internal server error',
+        // List drafts endpoint (protected)
+        this.app.get('/drafts', this.requireRole('viewer'), (req, res) => {
+            const list = drafts.list(req.query.status);
+
+            res.json({
+                success: true,
+                data: { drafts: list, count: list.length },
                 timestamp: new Date().toISOString()
             });
         });
-    }
 
-    /**
-     * Start the server
-     */
-    async start() {
-        try {
-            // Validate configuration
-            config.validate();
-            config.log();
+        // Get draft endpoint (protected)
+        this.app.get('/drafts/:id', this.requireRole('viewer'), (req, res) => {
+            const draft = drafts.get(req.params.id);
 
-            // Initialize bot
-            try {
-                await initialize();
-                logger.info("Telegram bot initialized successfully");
-            } catch (err) {
-                logger.error(`Bot initialization failed: ${err.message}`);
-                if (err.stack) logger.error(err.stack);
-                throw err;
+            if (!draft) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Draft '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
             }
 
-            // Start scheduler if enabled
+            res.json({
+                success: true,
+                data: draft,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Submit draft endpoint (protected) - editors can propose posts for review
+        this.app.post('/drafts', this.requireRole('editor'), async (req, res) => {
+            try {
+                const { templateId, variables } = req.body;
+                const targets = parseTargets(req.body.targets);
+                let { message } = req.body;
+
+                if (!message && !templateId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Message or templateId is required',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                const parseMode = formatting.resolveParseMode(req.body.parseMode);
+                if (!parseMode) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `parseMode must be one of: ${formatting.parseModes.join(', ')}`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                let liveValues = [];
+                let { buttons } = req.body;
+                if (templateId) {
+                    const rendered = await renderTemplate(templateId, variables, parseMode);
+                    ({ text: message, liveValues } = rendered);
+                    buttons = buttons !== undefined ? buttons : rendered.buttons;
+                }
+
+                const draft = await submitDraft({ message, buttons, targets, liveValues, parseMode, createdBy: req.apiUser.user });
+
+                res.status(201).json({
+                    success: true,
+                    data: draft,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Submit draft API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Approve / reject draft endpoints (protected)
+        ['approve', 'reject'].forEach((decision) => {
+            this.app.post(`/drafts/:id/${decision}`, this.requireRole('publisher'), async (req, res) => {
+                try {
+                    const draft = await reviewDraft(req.params.id, decision, req.apiUser.user, {
+                        via: 'api',
+                        reason: req.body && req.body.reason
+                    });
+
+                    if (!draft) {
+                        return res.status(404).json({
+                            success: false,
+                            error: `Draft '${req.params.id}' not found`,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+
+                    res.status(draft.status === 'failed' ? 502 : 200).json({
+                        success: draft.status !== 'failed',
+                        data: draft,
+                        timestamp: new Date().toISOString()
+                    });
+
+                } catch (error) {
+                    logger.error(`Draft ${decision} API error:`, error.message);
+                    res.status(409).json({
+                        success: false,
+                        error: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            });
+        });
+
+        // List sourced facts endpoint (protected)
+        this.app.get('/claims/facts', this.requireRole('viewer'), (req, res) => {
+            const facts = claims.listFacts();
+
+            res.json({
+                success: true,
+                data: { facts, count: facts.length },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Register sourced fact endpoint (protected)
+        this.app.post('/claims/facts', this.requireRole('editor'), (req, res) => {
+            try {
+                const { text, source, asOf, maxAgeDays } = req.body;
+                const fact = claims.addFact({ text, source, asOf, maxAgeDays });
+
+                res.status(201).json({
+                    success: true,
+                    data: fact,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Add fact API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Update sourced fact endpoint (protected)
+        this.app.put('/claims/facts/:id', this.requireRole('editor'), (req, res) => {
+            try {
+                const { text, source, asOf, maxAgeDays } = req.body;
+                const fact = claims.updateFact(req.params.id, { text, source, asOf, maxAgeDays });
+
+                if (!fact) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Fact '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: fact,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Update fact API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Delete sourced fact endpoint (protected)
+        this.app.delete('/claims/facts/:id', this.requireRole('editor'), (req, res) => {
+            if (!claims.removeFact(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Fact '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { id: req.params.id, deleted: true },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Claims check dry-run endpoint (protected)
+        this.app.post('/claims/check', this.requireRole('viewer'), async (req, res) => {
+            try {
+                const { templateId, variables } = req.body;
+                let { message } = req.body;
+                let liveValues = [];
+
+                if (!message && !templateId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Message or templateId is required',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                if (templateId) {
+                    ({ text: message, liveValues } = await renderTemplate(templateId, variables));
+                }
+
+                res.json({
+                    success: true,
+                    data: claims.check(message, { liveValues }),
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Claims check API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Market data history endpoint (protected)
+        this.app.get('/market/history', this.requireRole('viewer'), async (req, res) => {
+            const { from, to, source, asset, currency, cursor } = req.query;
+            const invalid = [from, to].filter(value => value && isNaN(Date.parse(value)));
+
+            if (invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid date: ${invalid.join(', ')}. Use ISO 8601, e.g. 2025-01-31 or 2025-01-31T09:00:00Z`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (cursor && !/^\d+-\d+$/.test(cursor)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid cursor: ${cursor}. Use the nextCursor of the previous page`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Pages hold up to `limit` points; the next page is requested with the returned cursor
+            const limit = Math.min(parseInt(req.query.limit) || HISTORY_PAGE_SIZE, HISTORY_PAGE_SIZE_MAX);
+
+            try {
+                const { points, nextCursor } = await marketData.getHistory({ from, to, source, asset, currency, limit, cursor });
+
+                res.json({
+                    success: true,
+                    data: { from: from || null, to: to || null, points, count: points.length, nextCursor },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error('Market history API error:', error.message);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // List price alert rules endpoint (protected)
+        this.app.get('/alerts', this.requireRole('viewer'), (req, res) => {
+            const rules = alerts.listRules();
+
+            res.json({
+                success: true,
+                data: { rules, count: rules.length },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Get price alert rule endpoint (protected)
+        this.app.get('/alerts/:id', this.requireRole('viewer'), (req, res) => {
+            const rule = alerts.getRule(req.params.id);
+
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Alert rule '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: rule,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Create price alert rule endpoint (protected)
+        this.app.post('/alerts', this.requireRole('publisher'), (req, res) => {
+            try {
+                const targets = parseTargets(req.body.targets);
+                if (targets) {
+                    resolveTargets(targets);
+                }
+
+                // Alert messages must pass the phrase policy before the rule is saved
+                const definition = { ...req.body, targets };
+                const lintReport = policy.enforce(alerts.getMessageBody(alerts.normalizeRule(definition)));
+                const rule = alerts.createRule(definition, req.apiUser.user);
+
+                res.status(201).json({
+                    success: true,
+                    data: { ...rule, lint: lintReport },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Create alert API error:', error.message);
+                res.status(error.lint ? 422 : 400).json({
+                    success: false,
+                    error: error.message,
+                    lint: error.lint,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Update price alert rule endpoint (protected)
+        this.app.put('/alerts/:id', this.requireRole('publisher'), (req, res) => {
+            try {
+                const existing = alerts.getRule(req.params.id);
+
+                if (!existing) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Alert rule '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                const changes = { ...req.body };
+                if (req.body.targets !== undefined) {
+                    changes.targets = parseTargets(req.body.targets);
+                    if (changes.targets) {
+                        resolveTargets(changes.targets);
+                    }
+                }
+
+                const lintReport = policy.enforce(alerts.getMessageBody(alerts.normalizeRule({ ...existing, ...changes })));
+                const rule = alerts.updateRule(req.params.id, changes);
+
+                res.json({
+                    success: true,
+                    data: { ...rule, lint: lintReport },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Update alert API error:', error.message);
+                res.status(error.lint ? 422 : 400).json({
+                    success: false,
+                    error: error.message,
+                    lint: error.lint,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Delete price alert rule endpoint (protected)
+        this.app.delete('/alerts/:id', this.requireRole('publisher'), (req, res) => {
+            if (!alerts.removeRule(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Alert rule '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { id: req.params.id, deleted: true },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Phrase policy dry-run endpoint (protected)
+        this.app.post('/lint', this.requireRole('viewer'), (req, res) => {
+            const { message, templateId } = req.body;
+            const template = templateId ? templates.get(templateId) : null;
+
+            if (!message && !template) {
+                return res.status(400).json({
+                    success: false,
+                    error: templateId ? `Template '${templateId}' not found` : 'Message or templateId is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // The text is linted as readers see it, like the send path (templates are legacy Markdown)
+            const parseMode = message ? formatting.resolveParseMode(req.body.parseMode) : 'Markdown';
+            if (!parseMode) {
+                return res.status(400).json({
+                    success: false,
+                    error: `parseMode must be one of: ${formatting.parseModes.join(', ')}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: policy.lint(formatting.toCheckedText(message || template.body, parseMode)),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // List phrase policy rules endpoint (protected)
+        this.app.get('/lint/rules', this.requireRole('viewer'), (req, res) => {
+            const rules = policy.listRules();
+
+            res.json({
+                success: true,
+                data: { rules, count: rules.length },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Add phrase policy rule endpoint (protected)
+        this.app.post('/lint/rules', this.requireRole('editor'), (req, res) => {
+            try {
+                const { id, type, pattern, severity, reason } = req.body;
+                const rule = policy.addRule({ id, type, pattern, severity, reason });
+
+                res.status(201).json({
+                    success: true,
+                    data: rule,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Add lint rule API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Remove phrase policy rule endpoint (protected)
+        this.app.delete('/lint/rules/:id', this.requireRole('editor'), (req, res) => {
+            if (!policy.removeRule(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Lint rule '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { id: req.params.id, deleted: true },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // List published messages endpoint (protected)
+        this.app.get('/messages', this.requireRole('viewer'), (req, res) => {
+            const list = publishedMessages.list({
+                destination: req.query.destination,
+                includeDeleted: req.query.includeDeleted === 'true',
+                limit: parseInt(req.query.limit) || 100
+            });
+
+            res.json({
+                success: true,
+                data: { messages: list, count: list.length },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Get published message endpoint (protected)
+        this.app.get('/messages/:id', this.requireRole('viewer'), (req, res) => {
+            const entry = publishedMessages.get(req.params.id);
+
+            if (!entry) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Published message '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Edit published message endpoint (protected)
+        this.app.patch('/messages/:id', this.requireRole('publisher'), this.refuseUnreviewed, async (req, res) => {
+            try {
+                const content = req.body.message || req.body.content;
+                const entry = await editPublishedMessage(req.params.id, content, req.apiUser.user, { liveValues: req.body.liveValues });
+
+                if (!entry) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Published message '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: entry,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Edit message API error:', error.message);
+                res.status(error.lint || error.claims || error.formatting || error.compliance ? 422 : 400).json({
+                    success: false,
+                    error: error.message,
+                    lint: error.lint,
+                    claims: error.claims,
+                    formatting: error.formatting,
+                    compliance: error.compliance,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Delete published message endpoint (protected)
+        this.app.delete('/messages/:id', this.requireRole('publisher'), async (req, res) => {
+            try {
+                const entry = await deletePublishedMessage(req.params.id, req.apiUser.user);
+
+                if (!entry) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Published message '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: entry,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Delete message API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // List API keys endpoint (admin)
+        this.app.get('/auth/keys', this.requireRole('admin'), (req, res) => {
+            const keys = apiKeys.listKeys();
+
+            res.json({
+                success: true,
+                data: { keys, count: keys.length },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Issue API key endpoint (admin)
+        this.app.post('/auth/keys', this.requireRole('admin'), (req, res) => {
+            try {
+                const { user, role } = req.body;
+                const issued = apiKeys.issueKey(user, role, req.apiUser.user);
+
+                res.status(201).json({
+                    success: true,
+                    data: issued,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Issue API key error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Revoke API key endpoint (admin)
+        this.app.delete('/auth/keys/:id', this.requireRole('admin'), (req, res) => {
+            const revoked = apiKeys.revokeKey(req.params.id);
+
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    error: `API key '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: revoked,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Telegram webhook endpoint (webhook mode only, verified by secret token header)
+        if (config.enableWebhook) {
+            this.app.post(webhookPath, (req, res) => {
+                const presented = Buffer.from(req.headers['x-telegram-bot-api-secret-token'] || '');
+                const expected = Buffer.from(config.webhookSecret);
+
+                if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+                    logger.warn('Rejected Telegram webhook request with invalid secret token');
+                    return res.sendStatus(401);
+                }
+
+                try {
+                    processWebhookUpdate(req.body);
+                } catch (error) {
+                    logger.error('Telegram webhook error:', error.message);
+                }
+
+                // Always acknowledge so Telegram does not redeliver the update
+                res.sendStatus(200);
+            });
+
+            logger.info(`Telegram webhook route enabled at ${webhookPath}`);
+        }
+
+        // Get recent logs endpoint
+        this.app.get('/logs', this.requireRole('viewer'), (req, res) => {
+            try {
+                const lines = parseInt(req.query.lines) || 100;
+                const logs = logger.getRecentLogs(lines);
+
+                res.json({
+                    success: true,
+                    data: { logs, count: logs.length },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Logs API error:', error.message);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Sample BitVault Pro messages endpoint
+        this.app.get('/samples', (req, res) => {
+            const samples = templates.list('sample').map(template => ({
+                name: template.name,
+                templateId: template.id,
+                message: template.body
+            }));
+
+            res.json({
+                success: true,
+                data: { samples },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // List templates endpoint (protected)
+        this.app.get('/templates', this.requireRole('viewer'), (req, res) => {
+            try {
+                const list = templates.list(req.query.category);
+
+                res.json({
+                    success: true,
+                    data: { templates: list, count: list.length },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('List templates API error:', error.message);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Get template endpoint (protected)
+        this.app.get('/templates/:id', this.requireRole('viewer'), (req, res) => {
+            const template = templates.get(req.params.id);
+
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Template '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { ...template, placeholders: templates.getPlaceholders(template.body) },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Create template endpoint (protected)
+        this.app.post('/templates', this.requireRole('editor'), (req, res) => {
+            try {
+                const { id, name, category, body, buttons } = req.body;
+                const template = templates.create({ id, name, category, body, buttons });
+
+                res.status(201).json({
+                    success: true,
+                    data: template,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Create template API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Update template endpoint (protected)
+        this.app.put('/templates/:id', this.requireRole('editor'), (req, res) => {
+            try {
+                const { name, category, body, buttons } = req.body;
+                const template = templates.update(req.params.id, { name, category, body, buttons });
+
+                if (!template) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Template '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: template,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Update template API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Delete template endpoint (protected)
+        this.app.delete('/templates/:id', this.requireRole('editor'), (req, res) => {
+            if (!templates.remove(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Template '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { id: req.params.id, deleted: true },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Render template preview endpoint (protected)
+        this.app.post('/templates/:id/render', this.requireRole('viewer'), async (req, res) => {
+            try {
+                if (!templates.get(req.params.id)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Template '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                const rendered = await renderTemplate(req.params.id, req.body && req.body.variables);
+
+                res.json({
+                    success: true,
+                    data: rendered,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Render template API error:', error.message);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // List button layouts endpoint (protected)
+        this.app.get('/keyboards', this.requireRole('viewer'), (req, res) => {
+            const layouts = keyboards.list();
+
+            res.json({
+                success: true,
+                data: { layouts, count: layouts.length, limits: keyboards.limits },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Get button layout endpoint (protected)
+        this.app.get('/keyboards/:id', this.requireRole('viewer'), (req, res) => {
+            const layout = keyboards.get(req.params.id);
+
+            if (!layout) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Button layout '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { ...layout, usedBy: findLayoutUsage(layout.id) },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Create button layout endpoint (protected)
+        this.app.post('/keyboards', this.requireRole('editor'), (req, res) => {
+            try {
+                const { id, name, rows } = req.body;
+                const layout = keyboards.create({ id, name, rows });
+
+                res.status(201).json({
+                    success: true,
+                    data: layout,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Create button layout API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Update button layout endpoint (protected)
+        this.app.put('/keyboards/:id', this.requireRole('editor'), (req, res) => {
+            try {
+                const { name, rows } = req.body;
+                const layout = keyboards.update(req.params.id, { name, rows });
+
+                if (!layout) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Button layout '${req.params.id}' not found`,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: layout,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                logger.error('Update button layout API error:', error.message);
+                res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Delete button layout endpoint (protected); layouts still in use are kept
+        this.app.delete('/keyboards/:id', this.requireRole('editor'), (req, res) => {
+            const usedBy = findLayoutUsage(req.params.id);
+            if (usedBy.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Button layout '${req.params.id}' is still used by ${usedBy.join(', ')}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!keyboards.remove(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Button layout '${req.params.id}' not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { id: req.params.id, deleted: true },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Error handling middleware (last)
+        this.app.use((err, req, res, next) => {
+            // Rejected uploads (too large, too many files, unexpected field) are client errors; multer removes partial uploads
+            if (err instanceof multer.MulterError) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Upload rejected: ${err.message}${err.field ? ` (${err.field})` : ''}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            logger.error('Express error:', err.stack || err.message);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * Start the server
+     */
+    async start() {
+        try {
+            // Validate configuration
+            config.validate();
+            config.log();
+
+            // Initialize bot
+            try {
+                await initialize();
+                logger.info("Telegram bot initialized successfully");
+            } catch (err) {
+                logger.error(`Bot initialization failed: ${err.message}`);
+                if (err.stack) logger.error(err.stack);
+                throw err;
+            }
+
+            // Start scheduler if enabled
             if (config.enableScheduler) {
                 startScheduler();
             }
@@ -446,24 +1839,7 @@ class BitVaultBotServer {
      * Send image with caption to channel
      */
     async sendImageWithCaption(imagePath, caption = '') {
-        try {
-            const botModule = require('./bot');
-            
-            const result = await botModule.bot.bot.sendPhoto(config.channelId, imagePath, {
-                caption: caption,
-                parse_mode: 'Markdown'
-            });
-            
-            logger.info(`Image sent successfully to channel (message_id: ${result.message_id})`);
-            return {
-                success: true,
-                messageId: result.message_id,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            logger.error('Failed to send image:', error.message);
-            throw new Error(`Failed to send image: ${error.message}`);
-        }
+        return await sendImageWithCaption(imagePath, caption);
     }
 
     /**
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Small JSON file store used to persist state across restarts
+ */
+class JsonStore {
+    constructor(fileName, defaultValue = {}) {
+        this.filePath = path.join(config.dataDir, fileName);
+        this.defaultValue = defaultValue;
+    }
+
+    /**
+     * Ensure data directory exists
+     */
+    ensureDataDirectory() {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Read stored data, falling back to the default value
+     */
+    read() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return JSON.parse(JSON.stringify(this.defaultValue));
+            }
+
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read store ${this.filePath}:`, error.message);
+            return JSON.parse(JSON.stringify(this.defaultValue));
+        }
+    }
+
+    /**
+     * Write data atomically (temp file + rename)
+     */
+    write(data) {
+        this.ensureDataDirectory();
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Read, modify and write back in one step
+     */
+    update(modifier) {
+        const data = this.read();
+        const result = modifier(data);
+        this.write(result === undefined ? data : result);
+        return result === undefined ? data : result;
+    }
+}
+
+module.exports = JsonStore;
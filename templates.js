@@ -0,0 +1,161 @@
+const logger = require('./logger');
+const JsonStore = require('./store');
+const keyboards = require('./keyboards');
+const defaultTemplates = require('./default-templates');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+class TemplateEngine {
+    constructor() {
+        this.store = new JsonStore('templates.json', null);
+    }
+
+    /**
+     * Load all templates, seeding the store with the built-in templates on first use
+     */
+    load() {
+        let templates = this.store.read();
+
+        if (!templates) {
+            const now = new Date().toISOString();
+            templates = {};
+            defaultTemplates.forEach((template) => {
+                templates[template.id] = { ...template, createdAt: now, updatedAt: now };
+            });
+            this.store.write(templates);
+            logger.info(`Template store seeded with ${defaultTemplates.length} built-in templates`);
+        }
+
+        return templates;
+    }
+
+    /**
+     * List templates, optionally filtered by category (sorted by ID)
+     */
+    list(category) {
+        return Object.values(this.load())
+            .filter(template => !category || template.category === category)
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Get a single template
+     */
+    get(id) {
+        return this.load()[id] || null;
+    }
+
+    /**
+     * Create a new template
+     */
+    create({ id, name, category = 'custom', body, buttons = null }) {
+        this.validate({ id, name, body, buttons });
+
+        const templates = this.load();
+        if (templates[id]) {
+            throw new Error(`Template '${id}' already exists`);
+        }
+
+        const now = new Date().toISOString();
+        templates[id] = { id, name, category, body, buttons, createdAt: now, updatedAt: now };
+        this.store.write(templates);
+
+        logger.info(`Template created: ${id}`);
+        return templates[id];
+    }
+
+    /**
+     * Update name, category, body or buttons of an existing template
+     */
+    update(id, changes) {
+        const templates = this.load();
+        const existing = templates[id];
+
+        if (!existing) {
+            return null;
+        }
+
+        const updated = {
+            ...existing,
+            name: changes.name !== undefined ? changes.name : existing.name,
+            category: changes.category !== undefined ? changes.category : existing.category,
+            body: changes.body !== undefined ? changes.body : existing.body,
+            buttons: changes.buttons !== undefined ? changes.buttons : existing.buttons || null,
+            updatedAt: new Date().toISOString()
+        };
+        this.validate(updated);
+
+        templates[id] = updated;
+        this.store.write(templates);
+
+        logger.info(`Template updated: ${id}`);
+        return updated;
+    }
+
+    /**
+     * Delete a template
+     */
+    remove(id) {
+        const templates = this.load();
+
+        if (!templates[id]) {
+            return false;
+        }
+
+        delete templates[id];
+        this.store.write(templates);
+
+        logger.info(`Template deleted: ${id}`);
+        return true;
+    }
+
+    /**
+     * Validate a template definition
+     */
+    validate({ id, name, body, buttons }) {
+        if (!id || !TEMPLATE_ID_PATTERN.test(id)) {
+            throw new Error('Template id is required and may only contain lowercase letters, digits, "-" and "_"');
+        }
+
+        if (!name || typeof name !== 'string') {
+            throw new Error('Template name is required');
+        }
+
+        if (!body || typeof body !== 'string') {
+            throw new Error('Template body must be a non-empty string');
+        }
+
+        // Buttons are a saved layout ID or rows of URL buttons
+        keyboards.resolve(buttons);
+    }
+
+    /**
+     * List the placeholder names used in a template body
+     */
+    getPlaceholders(body) {
+        return [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+    }
+
+    /**
+     * Fill {{placeholders}} from variables; unknown placeholders are left as-is and reported
+     */
+    render(body, variables = {}) {
+        const missing = new Set();
+
+        const text = body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+            if (variables[name] === undefined || variables[name] === null) {
+                missing.add(name);
+                return placeholder;
+            }
+            return String(variables[name]);
+        });
+
+        return { text, missing: [...missing] };
+    }
+}
+
+// Create and export singleton instance
+const templates = new TemplateEngine();
+
+module.exports = templates;
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chunker = require('../chunker');
+const formatting = require('../formatting');
+
+const LIMIT = 4096;
+
+test('a short heading stays with the body that follows it', () => {
+    const lines = Array.from({ length: 150 }, (value, index) => `Line ${String(index + 1).padStart(3, '0')}: ${'market update text '.repeat(2).trim()}`);
+    const text = `Title\n\n${lines.join('\n')}`;
+
+    const parts = chunker.split(text, LIMIT);
+
+    assert.strictEqual(parts.length, Math.ceil(text.length / LIMIT));
+    assert.ok(parts[0].startsWith('Title\n\nLine 001'));
+    assert.ok(parts.every(part => part.length <= LIMIT));
+    assert.strictEqual(parts.join('\n'), text);
+});
+
+test('paragraph breaks are still preferred when the part is at least half full', () => {
+    const paragraph = 'word '.repeat(500).trim();
+    const text = [paragraph, paragraph, paragraph].join('\n\n');
+
+    const parts = chunker.split(text, LIMIT);
+
+    assert.deepStrictEqual(parts, [paragraph, paragraph, paragraph]);
+});
+
+test('an entity longer than a part is closed and reopened', () => {
+    const text = `*${'bold words '.repeat(600).trim()}*`;
+
+    const parts = chunker.split(text, LIMIT, { parseMode: 'Markdown' });
+
+    assert.ok(parts.length > 1);
+    parts.forEach((part) => {
+        assert.ok(part.length <= LIMIT);
+        assert.strictEqual(formatting.validate(part, 'Markdown'), null);
+    });
+});